@@ -1,22 +1,58 @@
+import path from "node:path";
 import { defineConfig } from "rollup";
 import cleaner from "rollup-plugin-cleaner";
 import externals from "rollup-plugin-node-externals";
 
-export default defineConfig({
-    input: "src/dymo-services.js",
-    output: [
-        {
-            file: "./dist/index.cjs",
-            format: "cjs",
-            exports: "named",
-            sourcemap: true,
-        },
-        {
-            file: "./dist/index.mjs",
+// The command line tool and the web service import the library bundle instead of including it.
+const LIBRARY = path.resolve("src/dymo-services.js");
+
+export default defineConfig([
+    {
+        input: "src/dymo-services.js",
+        output: [
+            {
+                file: "./dist/index.cjs",
+                format: "cjs",
+                exports: "named",
+                sourcemap: true,
+            },
+            {
+                file: "./dist/index.mjs",
+                format: "es",
+                exports: "named",
+                sourcemap: true,
+            },
+        ],
+        plugins: [cleaner({ targets: ["./dist"] }), externals()],
+    },
+    {
+        input: "src/cli.js",
+        output: {
+            file: "./dist/cli.mjs",
             format: "es",
-            exports: "named",
-            sourcemap: true,
+            banner: "#!/usr/bin/env node",
+            paths: { [LIBRARY]: "./index.mjs" },
         },
-    ],
-    plugins: [cleaner({ targets: ["./dist"] }), externals()],
-});
+        external: [LIBRARY],
+        plugins: [externals()],
+    },
+    {
+        input: "src/web-services.js",
+        output: [
+            {
+                file: "./dist/web-service.cjs",
+                format: "cjs",
+                exports: "named",
+                paths: { [LIBRARY]: "./index.cjs" },
+            },
+            {
+                file: "./dist/web-service.mjs",
+                format: "es",
+                exports: "named",
+                paths: { [LIBRARY]: "./index.mjs" },
+            },
+        ],
+        external: [LIBRARY],
+        plugins: [externals()],
+    },
+]);
@@ -0,0 +1,947 @@
+// Barcode and QR code encoders.
+// The 1D encoders return the modules as a string of "1" (bar) and "0" (space) characters, one character per module.
+// The QR code encoder returns a matrix of modules, true for every dark module.
+
+// Code 128 symbol patterns, widths of bar, space, bar, space, bar, space (in modules), by symbol value.
+const CODE128_PATTERNS = [
+    "212222",
+    "222122",
+    "222221",
+    "121223",
+    "121322",
+    "131222",
+    "122213",
+    "122312",
+    "132212",
+    "221213",
+    "221312",
+    "231212",
+    "112232",
+    "122132",
+    "122231",
+    "113222",
+    "123122",
+    "123221",
+    "223211",
+    "221132",
+    "221231",
+    "213212",
+    "223112",
+    "312131",
+    "311222",
+    "321122",
+    "321221",
+    "312212",
+    "322112",
+    "322211",
+    "212123",
+    "212321",
+    "232121",
+    "111323",
+    "131123",
+    "131321",
+    "112313",
+    "132113",
+    "132311",
+    "211313",
+    "231113",
+    "231311",
+    "112133",
+    "112331",
+    "132131",
+    "113123",
+    "113321",
+    "133121",
+    "313121",
+    "211331",
+    "231131",
+    "213113",
+    "213311",
+    "213131",
+    "311123",
+    "311321",
+    "331121",
+    "312113",
+    "312311",
+    "332111",
+    "314111",
+    "221411",
+    "431111",
+    "111224",
+    "111422",
+    "121124",
+    "121421",
+    "141122",
+    "141221",
+    "112214",
+    "112412",
+    "122114",
+    "122411",
+    "142112",
+    "142211",
+    "241211",
+    "221114",
+    "413111",
+    "241112",
+    "134111",
+    "111242",
+    "121142",
+    "121241",
+    "114212",
+    "124112",
+    "124211",
+    "411212",
+    "421112",
+    "421211",
+    "212141",
+    "214121",
+    "412121",
+    "111143",
+    "111341",
+    "131141",
+    "114113",
+    "114311",
+    "411113",
+    "411311",
+    "113141",
+    "114131",
+    "311141",
+    "411131",
+    "211412",
+    "211214",
+    "211232",
+    "2331112",
+];
+const CODE128_START = { A: 103, B: 104, C: 105 };
+const CODE128_SWITCH = { A: 101, B: 100, C: 99 };
+const CODE128_STOP = 106;
+
+// Code 39 patterns, bar, space, bar, space, bar, space, bar, space, bar; 1 is a wide element, 0 a narrow one.
+const CODE39_PATTERNS = {
+    0: "000110100",
+    1: "100100001",
+    2: "001100001",
+    3: "101100000",
+    4: "000110001",
+    5: "100110000",
+    6: "001110000",
+    7: "000100101",
+    8: "100100100",
+    9: "001100100",
+    A: "100001001",
+    B: "001001001",
+    C: "101001000",
+    D: "000011001",
+    E: "100011000",
+    F: "001011000",
+    G: "000001101",
+    H: "100001100",
+    I: "001001100",
+    J: "000011100",
+    K: "100000011",
+    L: "001000011",
+    M: "101000010",
+    N: "000010011",
+    O: "100010010",
+    P: "001010010",
+    Q: "000000111",
+    R: "100000110",
+    S: "001000110",
+    T: "000010110",
+    U: "110000001",
+    V: "011000001",
+    W: "111000000",
+    X: "010010001",
+    Y: "110010000",
+    Z: "011010000",
+    "-": "010000101",
+    ".": "110000100",
+    " ": "011000100",
+    $: "010101000",
+    "/": "010100010",
+    "+": "010001010",
+    "%": "000101010",
+    "*": "010010100",
+};
+// Width of a wide Code 39 element, in modules.
+const CODE39_WIDE = 3;
+// Full ASCII Code 39 shift pairs: first and last character code of a range, the shift character and the letter of
+// the first character code. Digits, uppercase letters, space, - and . are encoded as themselves.
+const CODE39_FULL_ASCII_SHIFTS = [
+    [0, 0, "%", "U"],
+    [1, 26, "$", "A"],
+    [27, 31, "%", "A"],
+    [33, 47, "/", "A"],
+    [58, 58, "/", "Z"],
+    [59, 63, "%", "F"],
+    [64, 64, "%", "V"],
+    [91, 95, "%", "K"],
+    [96, 96, "%", "W"],
+    [97, 122, "+", "A"],
+    [123, 127, "%", "P"],
+];
+
+// EAN-13 left hand odd parity (L) digit patterns. Even parity (G) is the reversed complement, right hand (R) the
+// complement.
+const EAN_L_PATTERNS = [
+    "0001101",
+    "0011001",
+    "0010011",
+    "0111101",
+    "0100011",
+    "0110001",
+    "0101111",
+    "0111011",
+    "0110111",
+    "0001011",
+];
+// Parity of the six left hand digits, determined by the first (implicit) digit.
+const EAN_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+// QR code error correction codewords per block and number of blocks, by error correction level and version.
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+    L: [
+        -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30,
+        30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+    M: [
+        -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28,
+        28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    ],
+    Q: [
+        -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30,
+        30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+    H: [
+        -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30,
+        30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+};
+const QR_NUM_BLOCKS = {
+    L: [
+        -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18,
+        19, 19, 20, 21, 22, 24, 25,
+    ],
+    M: [
+        -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29,
+        31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+    ],
+    Q: [
+        -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40,
+        43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+    ],
+    H: [
+        -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45,
+        48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81,
+    ],
+};
+// Error correction level bits in the format information.
+const QR_ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+const QR_ALPHANUMERIC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+// Mask conditions, the module is inverted when the condition is true.
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * Convert element widths to modules, starting with a bar.
+ *
+ * @param {string} widths Element widths, alternating bar and space
+ * @return {string} Modules
+ */
+function widthsToModules(widths) {
+    return widths
+        .split("")
+        .map((width, i) => (i % 2 === 0 ? "1" : "0").repeat(Number(width)))
+        .join("");
+}
+
+/**
+ * Calculate the GS1 check digit (EAN-13, UPC-A).
+ *
+ * @param {string} digits Digits without check digit
+ * @return {number} Check digit
+ */
+function gs1CheckDigit(digits) {
+    const sum = digits
+        .split("")
+        .reverse()
+        .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Encode data as Code 128.
+ * Code set C is used for runs of digits, code set B for other printable ASCII and code set A for control characters.
+ *
+ * @param {string} data ASCII text to encode
+ * @return {{modules:string,text:string}} Modules and human readable text
+ */
+export function encodeCode128(data) {
+    if (!data || typeof data !== "string") {
+        throw Error("encodeCode128(): data should be a non-empty string");
+    }
+    if (!/^[\x00-\x7f]*$/.test(data)) {
+        throw Error(`encodeCode128(): data can only contain ASCII characters: "${data}"`);
+    }
+
+    /**
+     * Number of consecutive digits starting at the given position.
+     *
+     * @param {number} position Start position
+     * @return {number} Number of digits
+     */
+    const digitRun = (position) => {
+        let length = 0;
+        while (position + length < data.length && /\d/.test(data[position + length])) {
+            length++;
+        }
+        return length;
+    };
+
+    /**
+     * Whether switching to code set C pays off at the given position: for an even run of at least 6 digits, or
+     * at least 4 digits at the end of the data.
+     *
+     * @param {number} position Position in the data
+     * @return {boolean} Use code set C
+     */
+    const useCodeSetC = (position) => {
+        const run = digitRun(position);
+        return run % 2 === 0 && (run >= 6 || (run >= 4 && position + run === data.length));
+    };
+
+    /**
+     * Code set A is only needed for control characters, B for lowercase characters, both have the rest.
+     *
+     * @param {number} code Character code
+     * @param {string} current Current code set
+     * @return {string} Code set A or B
+     */
+    const codeSetAOrB = (code, current) => {
+        if (code < 32) {
+            return "A";
+        }
+        if (code >= 96) {
+            return "B";
+        }
+        return current === "A" ? "A" : "B";
+    };
+
+    const startRun = digitRun(0);
+    let codeSet =
+        startRun >= 4 || (startRun === data.length && startRun % 2 === 0) ? "C" : codeSetAOrB(data.charCodeAt(0), "B");
+    const values = [CODE128_START[codeSet]];
+    let i = 0;
+    while (i < data.length) {
+        if (codeSet === "C") {
+            if (digitRun(i) >= 2) {
+                values.push(Number(data.substring(i, i + 2)));
+                i += 2;
+                continue;
+            }
+            codeSet = codeSetAOrB(data.charCodeAt(i), "B");
+            values.push(CODE128_SWITCH[codeSet]);
+            continue;
+        }
+        if (useCodeSetC(i)) {
+            codeSet = "C";
+            values.push(CODE128_SWITCH.C);
+            continue;
+        }
+        const code = data.charCodeAt(i);
+        const next = codeSetAOrB(code, codeSet);
+        if (next !== codeSet) {
+            codeSet = next;
+            values.push(CODE128_SWITCH[codeSet]);
+        }
+        if (codeSet === "A") {
+            values.push(code < 32 ? code + 64 : code - 32);
+        } else {
+            values.push(code - 32);
+        }
+        i++;
+    }
+
+    const checksum = values.reduce((sum, value, idx) => sum + value * Math.max(idx, 1), 0) % 103;
+    values.push(checksum, CODE128_STOP);
+
+    return {
+        modules: values.map((value) => widthsToModules(CODE128_PATTERNS[value])).join(""),
+        text: data.replace(/[\x00-\x1f\x7f]/g, " "),
+    };
+}
+
+/**
+ * Encode data as Code 39, with a wide to narrow ratio of 3:1.
+ *
+ * @param {string} data Text to encode, digits, uppercase letters and - . space $ / + %
+ * @param {boolean} [checkDigit] Add the optional modulo 43 check digit (defaults to false)
+ * @return {{modules:string,text:string}} Modules and human readable text
+ */
+export function encodeCode39(data, checkDigit = false) {
+    if (!data || typeof data !== "string") {
+        throw Error("encodeCode39(): data should be a non-empty string");
+    }
+    const characters = Object.keys(CODE39_PATTERNS).filter((character) => character !== "*");
+    const invalid = data.split("").find((character) => characters.indexOf(character) === -1);
+    if (invalid !== undefined) {
+        throw Error(`encodeCode39(): invalid character "${invalid}", valid characters are: ${characters.join("")}`);
+    }
+
+    let text = data;
+    if (checkDigit) {
+        // The value of a character is its position in the Code 39 character set.
+        const charset = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%";
+        const sum = data.split("").reduce((total, character) => total + charset.indexOf(character), 0);
+        text += charset[sum % 43];
+    }
+
+    const modules = `*${text}*`
+        .split("")
+        .map((character) =>
+            CODE39_PATTERNS[character]
+                .split("")
+                .map((wide, i) => (i % 2 === 0 ? "1" : "0").repeat(wide === "1" ? CODE39_WIDE : 1))
+                .join("")
+        )
+        // Narrow space between the characters.
+        .join("0");
+
+    return { modules, text };
+}
+
+/**
+ * Encode data as Full ASCII Code 39: characters outside the Code 39 character set are encoded as a pair of a
+ * $, %, / or + shift character and a letter.
+ *
+ * @param {string} data Text to encode, ASCII characters
+ * @param {boolean} [checkDigit] Add the optional modulo 43 check digit (defaults to false)
+ * @return {{modules:string,text:string}} Modules and human readable text
+ */
+export function encodeCode39FullAscii(data, checkDigit = false) {
+    if (!data || typeof data !== "string") {
+        throw Error("encodeCode39FullAscii(): data should be a non-empty string");
+    }
+    const encoded = data
+        .split("")
+        .map((character) => {
+            const code = character.charCodeAt(0);
+            if (/[0-9A-Z .-]/.test(character)) {
+                return character;
+            }
+            const shift = CODE39_FULL_ASCII_SHIFTS.find(([first, last]) => code >= first && code <= last);
+            if (!shift) {
+                throw Error(`encodeCode39FullAscii(): invalid character "${character}", only ASCII can be encoded`);
+            }
+            const [first, , prefix, firstLetter] = shift;
+            return prefix + String.fromCharCode(firstLetter.charCodeAt(0) + code - first);
+        })
+        .join("");
+    const { modules } = encodeCode39(encoded, checkDigit);
+    return { modules, text: data.replace(/[\x00-\x1f\x7f]/g, " ") };
+}
+
+/**
+ * Encode data as EAN-13.
+ *
+ * @param {string} data 12 digits, or 13 digits including a valid check digit
+ * @return {{modules:string,text:string}} Modules and human readable text (13 digits)
+ */
+export function encodeEan13(data) {
+    if (!/^\d{12,13}$/.test(`${data}`)) {
+        throw Error(`encodeEan13(): data should be 12 or 13 digits: "${data}"`);
+    }
+    const checkDigit = gs1CheckDigit(data.substring(0, 12));
+    if (data.length === 13 && Number(data[12]) !== checkDigit) {
+        throw Error(`encodeEan13(): invalid check digit "${data[12]}", expected "${checkDigit}"`);
+    }
+    const digits = data.substring(0, 12) + checkDigit;
+    const parity = EAN_PARITY[Number(digits[0])];
+
+    let modules = "101";
+    for (let i = 1; i <= 6; i++) {
+        const pattern = EAN_L_PATTERNS[Number(digits[i])];
+        modules += parity[i - 1] === "L" ? pattern : complement(pattern).split("").reverse().join("");
+    }
+    modules += "01010";
+    for (let i = 7; i <= 12; i++) {
+        modules += complement(EAN_L_PATTERNS[Number(digits[i])]);
+    }
+    modules += "101";
+
+    return { modules, text: digits };
+}
+
+/**
+ * Encode data as UPC-A, which is EAN-13 with a leading 0.
+ *
+ * @param {string} data 11 digits, or 12 digits including a valid check digit
+ * @return {{modules:string,text:string}} Modules and human readable text (12 digits)
+ */
+export function encodeUpcA(data) {
+    if (!/^\d{11,12}$/.test(`${data}`)) {
+        throw Error(`encodeUpcA(): data should be 11 or 12 digits: "${data}"`);
+    }
+    const { modules, text } = encodeEan13(`0${data}`);
+    return { modules, text: text.substring(1) };
+}
+
+/**
+ * Invert the modules of a pattern.
+ *
+ * @param {string} pattern Modules
+ * @return {string} Inverted modules
+ */
+function complement(pattern) {
+    return pattern.replace(/[01]/g, (module) => (module === "1" ? "0" : "1"));
+}
+
+/**
+ * Encode text as QR code.
+ * The smallest version that fits the text is used, with numeric, alphanumeric or byte (UTF-8) mode.
+ *
+ * @param {string} text Text to encode
+ * @param {string} [errorCorrection] Error correction level L, M, Q or H (defaults to M)
+ * @return {boolean[][]} Module matrix, rows of modules, true for dark modules
+ */
+export function encodeQrCode(text, errorCorrection = "M") {
+    if (typeof text !== "string" || !text) {
+        throw Error("encodeQrCode(): text should be a non-empty string");
+    }
+    if (!QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection]) {
+        throw Error(`encodeQrCode(): invalid error correction "${errorCorrection}", valid levels are: L, M, Q, H`);
+    }
+
+    // Determine the mode and the data bits.
+    let mode;
+    const dataBits = [];
+    if (/^\d+$/.test(text)) {
+        mode = { indicator: 0x1, countBits: [10, 12, 14], count: text.length };
+        for (let i = 0; i < text.length; i += 3) {
+            const group = text.substring(i, i + 3);
+            appendBits(dataBits, Number(group), group.length * 3 + 1);
+        }
+    } else if (text.split("").every((character) => QR_ALPHANUMERIC_CHARSET.indexOf(character) !== -1)) {
+        mode = { indicator: 0x2, countBits: [9, 11, 13], count: text.length };
+        for (let i = 0; i < text.length; i += 2) {
+            const first = QR_ALPHANUMERIC_CHARSET.indexOf(text[i]);
+            if (i + 1 < text.length) {
+                appendBits(dataBits, first * 45 + QR_ALPHANUMERIC_CHARSET.indexOf(text[i + 1]), 11);
+            } else {
+                appendBits(dataBits, first, 6);
+            }
+        }
+    } else {
+        const bytes = Buffer.from(text, "utf8");
+        mode = { indicator: 0x4, countBits: [8, 16, 16], count: bytes.length };
+        bytes.forEach((byte) => appendBits(dataBits, byte, 8));
+    }
+
+    // Find the smallest version the data fits in.
+    let version = 1;
+    let countBits = 0;
+    for (; version <= 40; version++) {
+        countBits = mode.countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+        const capacity = qrDataCodewords(version, errorCorrection) * 8;
+        if (mode.count < 1 << countBits && 4 + countBits + dataBits.length <= capacity) {
+            break;
+        }
+    }
+    if (version > 40) {
+        throw Error(`encodeQrCode(): text is too long for a QR code with error correction "${errorCorrection}"`);
+    }
+
+    // Mode indicator, character count, data, terminator and padding.
+    const capacityBits = qrDataCodewords(version, errorCorrection) * 8;
+    const bits = [];
+    appendBits(bits, mode.indicator, 4);
+    appendBits(bits, mode.count, countBits);
+    bits.push(...dataBits);
+    appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+    appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        appendBits(bits, pad, 8);
+    }
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const qr = createQrMatrix(version);
+    drawQrFunctionPatterns(qr, version, errorCorrection);
+    drawQrCodewords(qr, addQrErrorCorrection(codewords, version, errorCorrection));
+
+    // Choose the mask with the lowest penalty.
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        applyQrMask(qr, mask);
+        drawQrFormatBits(qr, errorCorrection, mask);
+        const penalty = qrPenalty(qr.modules);
+        if (penalty < minPenalty) {
+            bestMask = mask;
+            minPenalty = penalty;
+        }
+        // Masking is its own inverse.
+        applyQrMask(qr, mask);
+    }
+    applyQrMask(qr, bestMask);
+    drawQrFormatBits(qr, errorCorrection, bestMask);
+
+    return qr.modules;
+}
+
+/**
+ * Append the value as big endian bits.
+ *
+ * @param {number[]} bits Bits to append to
+ * @param {number} value Value
+ * @param {number} length Number of bits
+ */
+function appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+    }
+}
+
+/**
+ * Number of modules available for data and error correction, excluding the function patterns.
+ *
+ * @param {number} version QR code version
+ * @return {number} Number of modules
+ */
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Number of data codewords, excluding the error correction codewords.
+ *
+ * @param {number} version QR code version
+ * @param {string} errorCorrection Error correction level
+ * @return {number} Number of data codewords
+ */
+function qrDataCodewords(version, errorCorrection) {
+    return (
+        Math.floor(qrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection][version] * QR_NUM_BLOCKS[errorCorrection][version]
+    );
+}
+
+/**
+ * Positions of the alignment patterns, along both axes.
+ *
+ * @param {number} version QR code version
+ * @return {number[]} Positions
+ */
+function qrAlignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+    const size = version * 4 + 17;
+    const alignments = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (alignments * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < alignments; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Create an empty QR matrix.
+ *
+ * @param {number} version QR code version
+ * @return {{size:number,modules:boolean[][],isFunction:boolean[][]}} Matrix
+ */
+function createQrMatrix(version) {
+    const size = version * 4 + 17;
+    const create = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    return { size, modules: create(), isFunction: create() };
+}
+
+/**
+ * Set a function module, which is never masked.
+ *
+ * @param {{modules:boolean[][],isFunction:boolean[][]}} qr Matrix
+ * @param {number} x Column
+ * @param {number} y Row
+ * @param {boolean} dark Dark module
+ */
+function setQrFunctionModule(qr, x, y, dark) {
+    qr.modules[y][x] = dark;
+    qr.isFunction[y][x] = true;
+}
+
+/**
+ * Draw the timing, finder and alignment patterns and reserve the format and version areas.
+ *
+ * @param {{size:number,modules:boolean[][],isFunction:boolean[][]}} qr Matrix
+ * @param {number} version QR code version
+ * @param {string} errorCorrection Error correction level
+ */
+function drawQrFunctionPatterns(qr, version, errorCorrection) {
+    const { size } = qr;
+    for (let i = 0; i < size; i++) {
+        setQrFunctionModule(qr, 6, i, i % 2 === 0);
+        setQrFunctionModule(qr, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns, including the separators.
+    [
+        [3, 3],
+        [size - 4, 3],
+        [3, size - 4],
+    ].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setQrFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap the finder patterns.
+    const positions = qrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setQrFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas, the real format bits are drawn once the mask is known.
+    drawQrFormatBits(qr, errorCorrection, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setQrFunctionModule(qr, a, b, dark);
+            setQrFunctionModule(qr, b, a, dark);
+        }
+    }
+}
+
+/**
+ * Draw both copies of the format bits (error correction level and mask) and the dark module.
+ *
+ * @param {{size:number,modules:boolean[][],isFunction:boolean[][]}} qr Matrix
+ * @param {string} errorCorrection Error correction level
+ * @param {number} mask Mask number
+ */
+function drawQrFormatBits(qr, errorCorrection, mask) {
+    const { size } = qr;
+    const data = (QR_ECC_FORMAT_BITS[errorCorrection] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) {
+        setQrFunctionModule(qr, 8, i, bit(i));
+    }
+    setQrFunctionModule(qr, 8, 7, bit(6));
+    setQrFunctionModule(qr, 8, 8, bit(7));
+    setQrFunctionModule(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+        setQrFunctionModule(qr, 14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        setQrFunctionModule(qr, size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setQrFunctionModule(qr, 8, size - 15 + i, bit(i));
+    }
+    setQrFunctionModule(qr, 8, size - 8, true);
+}
+
+/**
+ * Multiply two numbers in the Reed-Solomon Galois field GF(2^8/0x11D).
+ *
+ * @param {number} x Factor
+ * @param {number} y Factor
+ * @return {number} Product
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Split the data in blocks, add the Reed-Solomon error correction codewords and interleave the blocks.
+ *
+ * @param {number[]} data Data codewords
+ * @param {number} version QR code version
+ * @param {string} errorCorrection Error correction level
+ * @return {number[]} All codewords in placement order
+ */
+function addQrErrorCorrection(data, version, errorCorrection) {
+    const numBlocks = QR_NUM_BLOCKS[errorCorrection][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection][version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    // Generator polynomial, without the leading 1.
+    const divisor = new Array(eccLength).fill(0);
+    divisor[eccLength - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < eccLength; i++) {
+        for (let j = 0; j < eccLength; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < eccLength) {
+                divisor[j] ^= divisor[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = new Array(eccLength).fill(0);
+        block.forEach((codeword) => {
+            const factor = codeword ^ /** @type {number} */ (ecc.shift());
+            ecc.push(0);
+            divisor.forEach((coefficient, j) => (ecc[j] ^= gfMultiply(coefficient, factor)));
+        });
+        // Short blocks get a placeholder, so all blocks can be interleaved by index.
+        if (i < numShortBlocks) {
+            block.push(0);
+        }
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Place the codewords in the zigzag pattern, skipping the function modules.
+ *
+ * @param {{size:number,modules:boolean[][],isFunction:boolean[][]}} qr Matrix
+ * @param {number[]} codewords All codewords
+ */
+function drawQrCodewords(qr, codewords) {
+    const { size } = qr;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // Skip the vertical timing pattern.
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                    qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Invert the data modules where the mask condition is true.
+ *
+ * @param {{size:number,modules:boolean[][],isFunction:boolean[][]}} qr Matrix
+ * @param {number} mask Mask number
+ */
+function applyQrMask(qr, mask) {
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (!qr.isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                qr.modules[y][x] = !qr.modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Calculate the penalty score of the masked matrix, lower is better.
+ *
+ * @param {boolean[][]} modules Module matrix
+ * @return {number} Penalty
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    const rows = modules.map((row) => row.map((dark) => (dark ? "1" : "0")).join(""));
+    const columns = modules.map((_, x) => modules.map((row) => (row[x] ? "1" : "0")).join(""));
+    let penalty = 0;
+
+    [...rows, ...columns].forEach((line) => {
+        // Runs of 5 or more modules of the same color.
+        (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => (penalty += run.length - 2));
+        // Patterns that look like a finder pattern.
+        penalty += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+    });
+
+    // Blocks of 2x2 modules of the same color.
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules.
+    const darkCount = rows.reduce((total, row) => total + row.split("1").length - 1, 0);
+    const percentage = (darkCount * 100) / (size * size);
+    penalty += Math.floor(Math.abs(percentage - 50) / 5) * 10;
+
+    return penalty;
+}
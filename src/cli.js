@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+import Jimp from "jimp";
+import fs from "node:fs";
+import { createImageWithText, DymoServices, findLabel } from "./dymo-services.js";
+
+// Exit codes, so shell scripts can tell the failures apart.
+const EXIT_OK = 0;
+const EXIT_PRINT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INPUT = 3;
+const EXIT_NO_PRINTERS = 4;
+
+const DEFAULT_LABEL = "99010";
+
+const USAGE = `Usage: dymo-print <command> [options] [arguments]
+
+Commands:
+  list                  List the printers
+  text <text...>        Print text, reads the text from stdin when it is "-" or omitted
+  image <file>          Print a PNG, JPEG or BMP image, reads the image from stdin when the file is "-"
+  raw <file>            Send a pre-rendered printer buffer, reads the buffer from stdin when the file is "-"
+
+Printer options:
+  -i, --interface <if>  Printer interface: CUPS, NETWORK, WINDOWS, DEVICE, IPP, or FILE to write the output to a
+                        file instead of printing (detected when omitted)
+  --host <host>         Host name or IP address (NETWORK, IPP)
+  --port <port>         Port (NETWORK, IPP), defaults to 9100 (NETWORK) or 631 (IPP)
+  --uri <uri>           Printer URI, e.g. ipp://printserver/printers/LabelWriter-450 (IPP)
+  --device <device>     Device name, e.g. /dev/usb/lp0 (DEVICE)
+  --device-id <id>      Printer name (CUPS, WINDOWS)
+  --file <file>         Output file (FILE)
+  --connect-timeout <ms>
+                        Time to wait for the connection (NETWORK), defaults to 30000
+  --idle-timeout <ms>   Time the connection may be idle (NETWORK, IPP), defaults to 30000
+  --model <model>       Printer model: LW450, LW450_TWIN_TURBO, LW4XL, LM420P, LM500TS or LMPNP (detected
+                        from the printer name)
+
+Print options:
+  -n, --copies <n>      Number of copies, defaults to 1
+  -l, --label <label>   Label part number or size, e.g. 99010 or "89mm x 36mm", defaults to ${DEFAULT_LABEL} for text
+  --fit <fit>           Fit the image to the label: CONTAIN (default), COVER or STRETCH
+  --dithering <name>    DITHER565, THRESHOLD, FLOYD_STEINBERG, ATKINSON, BAYER or AUTO
+  --roll <roll>         Label roll of a Twin Turbo: AUTO, LEFT or RIGHT
+  --tape-width <mm>     Tape width of a LabelManager: 6, 9, 12 (default), 19 or 24
+
+Text options:
+  -s, --font-size <px>  Font size in pixels, defaults to 32; 8, 10, 12, 14, 16, 32, 64 or 128 without --font
+  --font <file>         TrueType, OpenType or BMFont file
+  --bold                Bold text
+  --italic              Italic text
+  --margin <px>         Margin left and right of the text, defaults to 10
+
+Other options:
+  --json                Print the printer list as JSON
+  -h, --help            Show this help
+
+Exit codes:
+  ${EXIT_OK}  Success
+  ${EXIT_PRINT_FAILED}  Printing failed
+  ${EXIT_USAGE}  Invalid command or options
+  ${EXIT_INPUT}  The input could not be read
+  ${EXIT_NO_PRINTERS}  No printers found
+`;
+
+const COMMANDS = ["list", "text", "image", "raw"];
+const VALUE_FLAGS = [
+    "interface",
+    "host",
+    "port",
+    "uri",
+    "device",
+    "device-id",
+    "file",
+    "connect-timeout",
+    "idle-timeout",
+    "model",
+    "roll",
+    "tape-width",
+    "copies",
+    "label",
+    "fit",
+    "dithering",
+    "font-size",
+    "font",
+    "margin",
+];
+const BOOLEAN_FLAGS = ["help", "json", "bold", "italic"];
+const ALIASES = { h: "help", i: "interface", n: "copies", l: "label", s: "font-size" };
+
+/**
+ * Invalid command line, exits with EXIT_USAGE.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Input that cannot be read or decoded, exits with EXIT_INPUT.
+ */
+class InputError extends Error {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "InputError";
+    }
+}
+
+/**
+ * Split the command line into the command, the flags and the positional arguments.
+ *
+ * @param {string[]} args Command line arguments, without node and the script
+ * @return {{command:string|undefined,flags:Object<string, string|boolean>,positionals:string[]}}
+ */
+function parseArgs(args) {
+    /** @type {Object<string, string|boolean>} */
+    const flags = {};
+    const positionals = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--") {
+            positionals.push(...args.slice(i + 1));
+            break;
+        }
+        if (arg === "-" || !arg.startsWith("-")) {
+            positionals.push(arg);
+            continue;
+        }
+        const match = /^--?([^=]+)(?:=([\s\S]*))?$/.exec(arg);
+        const name = match ? ALIASES[match[1]] || match[1] : arg;
+        if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+            flags[name] = true;
+        } else if (VALUE_FLAGS.indexOf(name) !== -1) {
+            if (match && match[2] !== undefined) {
+                flags[name] = match[2];
+            } else if (i + 1 < args.length) {
+                flags[name] = args[++i];
+            } else {
+                throw new UsageError(`Missing value for option "${arg}"`);
+            }
+        } else {
+            throw new UsageError(`Unknown option "${arg}"`);
+        }
+    }
+    return { command: positionals.shift(), flags, positionals };
+}
+
+/**
+ * Parse a positive integer flag.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @param {string} name Flag name
+ * @param {number} defaultValue Value when the flag is not given
+ * @param {boolean} [allowZero] Accept 0 as well
+ * @return {number}
+ */
+function integerFlag(flags, name, defaultValue, allowZero = false) {
+    if (flags[name] === undefined) {
+        return defaultValue;
+    }
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+        throw new UsageError(`Option --${name} should be a ${allowZero ? "non-negative" : "positive"} integer`);
+    }
+    return value;
+}
+
+/**
+ * Create the printer from the printer options.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @return {DymoServices}
+ */
+function createPrinter(flags) {
+    /** @type {import("./dymo-services.js").PrinterConfig} */
+    const config = {};
+    if (flags.interface) {
+        config.interface = `${flags.interface}`.toUpperCase();
+    }
+    if (flags.host) {
+        config.host = `${flags.host}`;
+    }
+    if (flags.port !== undefined) {
+        config.port = integerFlag(flags, "port", 9100);
+    }
+    if (flags.uri) {
+        config.uri = `${flags.uri}`;
+    }
+    if (flags.device) {
+        config.device = `${flags.device}`;
+    }
+    if (flags["device-id"]) {
+        config.deviceId = `${flags["device-id"]}`;
+    }
+    if (flags.file) {
+        config.file = `${flags.file}`;
+    }
+    if (flags["connect-timeout"] !== undefined) {
+        config.connectTimeout = integerFlag(flags, "connect-timeout", 30000);
+    }
+    if (flags["idle-timeout"] !== undefined) {
+        config.idleTimeout = integerFlag(flags, "idle-timeout", 30000);
+    }
+    if (flags.model) {
+        config.model = `${flags.model}`;
+    }
+    if (flags.roll) {
+        config.roll = `${flags.roll}`.toUpperCase();
+    }
+    if (flags["tape-width"] !== undefined) {
+        config.tapeWidth = integerFlag(flags, "tape-width", 12);
+    }
+    try {
+        return new DymoServices(config);
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+/**
+ * Read the input file, or stdin when the file is "-".
+ *
+ * @param {string} file File name or "-"
+ * @return {Promise<Buffer>}
+ */
+function readInput(file) {
+    return new Promise((resolve, reject) => {
+        if (file !== "-") {
+            fs.readFile(file, (err, data) => {
+                if (err) {
+                    reject(new InputError(`Cannot read "${file}": ${err.message}`));
+                    return;
+                }
+                resolve(data);
+            });
+            return;
+        }
+        if (process.stdin.isTTY) {
+            throw new UsageError("Nothing to read from stdin");
+        }
+        const chunks = [];
+        process.stdin.on("data", (chunk) => chunks.push(chunk));
+        process.stdin.on("end", () => resolve(Buffer.concat(chunks)));
+        process.stdin.on("error", (err) => reject(new InputError(`Cannot read stdin: ${err.message}`)));
+    });
+}
+
+/**
+ * Look up the label option.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @param {string} [defaultLabel] Label when the option is not given
+ * @return {import("./labels.js").DymoLabel|undefined}
+ */
+function labelFlag(flags, defaultLabel) {
+    const key = flags.label ? `${flags.label}` : defaultLabel;
+    if (!key) {
+        return undefined;
+    }
+    try {
+        return findLabel(key);
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+/**
+ * List the printers.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @return {Promise<number>} Exit code
+ */
+function listCommand(flags) {
+    return new DymoServices().listPrinters().then((printers) => {
+        if (flags.json) {
+            console.log(JSON.stringify(printers, null, 2));
+        } else {
+            printers.forEach((printer) => console.log(`${printer.deviceId}\t${printer.name}`));
+        }
+        if (printers.length === 0) {
+            console.error("No printers found.");
+            return EXIT_NO_PRINTERS;
+        }
+        return EXIT_OK;
+    });
+}
+
+/**
+ * Print text on the label.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @param {string[]} positionals Text
+ * @return {Promise<number>} Exit code
+ */
+function textCommand(flags, positionals) {
+    const printer = createPrinter(flags);
+    const copies = integerFlag(flags, "copies", 1);
+    const margin = integerFlag(flags, "margin", 10, true);
+    const label = /** @type {import("./labels.js").DymoLabel} */ (labelFlag(flags, DEFAULT_LABEL));
+    const fontSize = flags["font-size"] === undefined ? 32 : Number(flags["font-size"]);
+    const fontOptions =
+        flags.font || flags.bold || flags.italic
+            ? { font: flags.font ? `${flags.font}` : undefined, bold: !!flags.bold, italic: !!flags.italic }
+            : undefined;
+
+    const textInput =
+        positionals.length === 0 || (positionals.length === 1 && positionals[0] === "-")
+            ? readInput("-").then((data) => data.toString("utf8").replace(/\r?\n$/, ""))
+            : Promise.resolve(positionals.join(" "));
+    return textInput
+        .then((text) =>
+            createImageWithText(label.imageWidth, label.imageHeight, margin, fontSize, text, fontOptions).catch((e) => {
+                throw new UsageError(e.message);
+            })
+        )
+        .then((image) => {
+            const dithering = flags.dithering ? `${flags.dithering}`.toUpperCase() : "THRESHOLD";
+            return printer.print(image, copies, { dithering });
+        })
+        .then(() => EXIT_OK);
+}
+
+/**
+ * Print an image file.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @param {string[]} positionals Image file
+ * @return {Promise<number>} Exit code
+ */
+function imageCommand(flags, positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError("Expected exactly one image file");
+    }
+    const printer = createPrinter(flags);
+    const copies = integerFlag(flags, "copies", 1);
+    const label = labelFlag(flags);
+    return readInput(positionals[0])
+        .then((data) =>
+            Jimp.read(data).catch((e) => {
+                throw new InputError(`Cannot decode image "${positionals[0]}": ${e.message}`);
+            })
+        )
+        .then((image) =>
+            printer.print(image, copies, {
+                label,
+                fit: flags.fit ? `${flags.fit}`.toUpperCase() : undefined,
+                dithering: flags.dithering ? `${flags.dithering}`.toUpperCase() : undefined,
+            })
+        )
+        .then(() => EXIT_OK);
+}
+
+/**
+ * Send a pre-rendered printer buffer, once for every copy.
+ *
+ * @param {Object<string, string|boolean>} flags Flags
+ * @param {string[]} positionals Buffer file
+ * @return {Promise<number>} Exit code
+ */
+function rawCommand(flags, positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError("Expected exactly one printer buffer file");
+    }
+    const printer = createPrinter(flags);
+    const copies = integerFlag(flags, "copies", 1);
+    return readInput(positionals[0]).then((data) => {
+        if (data.length === 0) {
+            throw new InputError(`Empty printer buffer "${positionals[0]}"`);
+        }
+        const copiesBuffer = Buffer.concat(new Array(copies).fill(data));
+        return printer.printRaw(copiesBuffer).then(() => EXIT_OK);
+    });
+}
+
+/**
+ * Run the command line.
+ *
+ * @param {string[]} args Command line arguments, without node and the script
+ * @return {Promise<number>} Exit code
+ */
+function run(args) {
+    return new Promise((resolve) => {
+        const { command, flags, positionals } = parseArgs(args);
+        if (flags.help || command === "help") {
+            process.stdout.write(USAGE);
+            resolve(EXIT_OK);
+            return;
+        }
+        if (!command) {
+            process.stderr.write(USAGE);
+            resolve(EXIT_USAGE);
+            return;
+        }
+        if (COMMANDS.indexOf(command) === -1) {
+            throw new UsageError(`Unknown command "${command}", valid commands are: ${COMMANDS.join(", ")}`);
+        }
+        if (command === "list") {
+            resolve(listCommand(flags));
+        } else if (command === "text") {
+            resolve(textCommand(flags, positionals));
+        } else if (command === "image") {
+            resolve(imageCommand(flags, positionals));
+        } else {
+            resolve(rawCommand(flags, positionals));
+        }
+    }).catch((e) => {
+        const message = e instanceof Error ? e.message : `${e}`;
+        console.error(`dymo-print: ${message}`);
+        if (e instanceof UsageError) {
+            console.error('Run "dymo-print --help" for usage.');
+            return EXIT_USAGE;
+        }
+        return e instanceof InputError ? EXIT_INPUT : EXIT_PRINT_FAILED;
+    });
+}
+
+run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+});
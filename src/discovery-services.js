@@ -0,0 +1,419 @@
+import dgram from "node:dgram";
+import net from "node:net";
+
+// Multicast DNS (RFC 6762) and DNS-based service discovery (RFC 6763).
+// The queries are sent from a random port, so responders answer with unicast to that port ("legacy unicast") and the
+// mDNS port 5353 can stay in use by Avahi or Bonjour.
+const MDNS_ADDRESS = "224.0.0.251";
+const MDNS_PORT = 5353;
+
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+const CLASS_IN = 1;
+// Ask for a unicast response.
+const CLASS_UNICAST_RESPONSE = 0x8000;
+
+// Raw (AppSocket/JetDirect) printing, LPD and IPP.
+const DEFAULT_SERVICES = ["_pdl-datastream._tcp.local", "_printer._tcp.local", "_ipp._tcp.local"];
+const SERVICE_RAW = "_pdl-datastream._tcp.local";
+const RAW_PORT = 9100;
+// TXT record keys that describe the make and model of the printer.
+const MODEL_KEYS = ["ty", "product", "usb_MFG", "usb_MDL", "mfg", "mdl"];
+// Largest subnet that is probed, a /16 network.
+const MAX_PROBE_HOSTS = 65536;
+
+/**
+ * @typedef {Object} DiscoveryOptions
+ * @property {number} [timeout] Time to wait for mDNS responses in milliseconds (defaults to 3000)
+ * @property {string[]} [services] DNS-SD service types to browse, defaults to _pdl-datastream._tcp, _printer._tcp
+ *                                 and _ipp._tcp
+ * @property {boolean} [all] Return all printers instead of only DYMO printers (defaults to false)
+ * @property {string|string[]} [subnet] CIDR range(s) to probe for an open raw printing port, e.g. 192.168.1.0/24.
+ *                                      Without a subnet no probing is done
+ * @property {number} [probePort] Port to probe (defaults to 9100)
+ * @property {number} [probeTimeout] Connect timeout per host in milliseconds (defaults to 500)
+ * @property {number} [concurrency] Number of hosts probed at the same time (defaults to 64)
+ */
+
+/**
+ * @typedef {Object} DiscoveredPrinter
+ * @property {string} deviceId Unique id, host:port
+ * @property {string} name Printer name, from the TXT record or the service instance name
+ * @property {string} interface Always NETWORK
+ * @property {string} host IP address
+ * @property {number} port Raw printing port, from the _pdl-datastream._tcp service or 9100
+ * @property {string} source How the printer was found; MDNS or PROBE
+ * @property {Object<string, number>} [services] Advertised services and their ports (MDNS)
+ * @property {Object<string, string>} [txt] TXT record of the advertised services (MDNS)
+ */
+
+/**
+ * Discover network printers with multicast DNS, and optionally by probing a subnet for the raw printing port.
+ * The results can be passed as PrinterConfig to DymoServices: new DymoServices(printer).
+ * Probed hosts only have an open port; they are not known to be DYMO printers.
+ *
+ * @param {DiscoveryOptions} [options] Discovery options
+ * @return {Promise<DiscoveredPrinter[]>} Printers, the mDNS results first
+ */
+export function discoverNetworkPrinters(options = {}) {
+    return new Promise((resolve, reject) => {
+        const { timeout = 3000, services = DEFAULT_SERVICES, all = false } = options;
+        if (!Number.isInteger(timeout) || timeout < 0) {
+            throw Error(`discoverNetworkPrinters(): timeout should be positive integer or 0: "${timeout}"`);
+        }
+        if (!Array.isArray(services)) {
+            throw Error("discoverNetworkPrinters(): services should be an array of service types");
+        }
+        const subnets = options.subnet ? [].concat(options.subnet) : [];
+        // Validate the subnets before anything is sent.
+        const probeHosts = subnets.reduce((hosts, subnet) => hosts.concat(expandCidr(subnet)), []);
+
+        browseMdns(services.map((service) => (service.endsWith(".local") ? service : `${service}.local`)), timeout)
+            .then((found) => {
+                const printers = found.filter((printer) => all || isDymoPrinter(printer));
+                const known = printers.map((printer) => printer.host);
+                return probeHosts.length === 0
+                    ? printers
+                    : probePort(
+                          probeHosts.filter((host) => known.indexOf(host) === -1),
+                          options.probePort || RAW_PORT,
+                          options.probeTimeout || 500,
+                          options.concurrency || 64
+                      ).then((probed) => printers.concat(probed));
+            })
+            .then(resolve)
+            .catch(reject);
+    });
+}
+
+/**
+ * Check the service instance name and the TXT records for DYMO.
+ *
+ * @param {DiscoveredPrinter} printer Printer found with mDNS
+ * @return {boolean}
+ */
+function isDymoPrinter(printer) {
+    const txt = printer.txt || {};
+    return [printer.name, ...MODEL_KEYS.map((key) => txt[key])].some((value) => !!value && /dymo/i.test(value));
+}
+
+/**
+ * Browse the services with mDNS and collect the printers that answer.
+ *
+ * @param {string[]} services Service types, ending with .local
+ * @param {number} timeout Time to wait for responses in milliseconds
+ * @return {Promise<DiscoveredPrinter[]>}
+ */
+function browseMdns(services, timeout) {
+    return new Promise((resolve, reject) => {
+        /** @type {Map<string, {service:string,target?:string,port?:number,txt?:Object<string, string>}>} */
+        const instances = new Map();
+        /** @type {Map<string, string>} */
+        const addresses = new Map();
+        // Names already asked for, so follow-up queries are sent only once.
+        const asked = new Set();
+        const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+
+        /**
+         * @param {{name:string,type:number}[]} questions Questions
+         */
+        const query = (questions) => {
+            const fresh = questions.filter((question) => !asked.has(`${question.type}:${question.name}`));
+            if (fresh.length === 0) {
+                return;
+            }
+            fresh.forEach((question) => asked.add(`${question.type}:${question.name}`));
+            // Without a multicast route the query cannot be sent, then simply nothing is found.
+            socket.send(encodeQuery(fresh), MDNS_PORT, MDNS_ADDRESS, () => undefined);
+        };
+
+        socket.on("message", (message) => {
+            let records;
+            try {
+                records = decodeRecords(message);
+            } catch (e) {
+                // Ignore malformed packets.
+                return;
+            }
+            records.forEach((record) => {
+                if (record.type === TYPE_PTR && services.indexOf(record.name.toLowerCase()) !== -1) {
+                    if (!instances.has(record.data)) {
+                        instances.set(record.data, { service: record.name.toLowerCase() });
+                    }
+                } else if (record.type === TYPE_SRV && instances.has(record.name)) {
+                    Object.assign(instances.get(record.name), { target: record.data.target, port: record.data.port });
+                } else if (record.type === TYPE_TXT && instances.has(record.name)) {
+                    instances.get(record.name).txt = record.data;
+                } else if (record.type === TYPE_A) {
+                    addresses.set(record.name.toLowerCase(), record.data);
+                }
+            });
+            // Ask for what the responder did not send along.
+            instances.forEach((instance, name) => {
+                if (instance.target === undefined) {
+                    query([
+                        { name, type: TYPE_SRV },
+                        { name, type: TYPE_TXT },
+                    ]);
+                } else if (!addresses.has(instance.target.toLowerCase())) {
+                    query([{ name: instance.target, type: TYPE_A }]);
+                }
+            });
+        });
+        socket.on("error", (err) => {
+            socket.close();
+            reject(err);
+        });
+        socket.bind(0, () => {
+            socket.setMulticastTTL(255);
+            query(services.map((name) => ({ name, type: TYPE_PTR })));
+            setTimeout(() => {
+                socket.close();
+                resolve(collectPrinters(instances, addresses));
+            }, timeout);
+        });
+    });
+}
+
+/**
+ * Combine the service instances into printers, one per host.
+ *
+ * @param {Map<string, {service:string,target?:string,port?:number,txt?:Object<string, string>}>} instances Service
+ *        instances by name
+ * @param {Map<string, string>} addresses IPv4 addresses by host name
+ * @return {DiscoveredPrinter[]}
+ */
+function collectPrinters(instances, addresses) {
+    /** @type {Map<string, DiscoveredPrinter>} */
+    const printers = new Map();
+    instances.forEach((instance, instanceName) => {
+        if (instance.target === undefined) {
+            return;
+        }
+        const host = addresses.get(instance.target.toLowerCase()) || instance.target;
+        if (!printers.has(host)) {
+            printers.set(host, {
+                deviceId: `${host}:${RAW_PORT}`,
+                name: instanceName.substring(0, instanceName.indexOf("._")),
+                interface: "NETWORK",
+                host,
+                port: RAW_PORT,
+                source: "MDNS",
+                services: {},
+                txt: {},
+            });
+        }
+        const printer = printers.get(host);
+        printer.services[instance.service] = instance.port;
+        Object.assign(printer.txt, instance.txt);
+        if (instance.service === SERVICE_RAW && instance.port) {
+            printer.port = instance.port;
+            printer.deviceId = `${host}:${instance.port}`;
+        }
+        if (instance.txt && instance.txt.ty) {
+            printer.name = instance.txt.ty;
+        }
+    });
+    return Array.from(printers.values());
+}
+
+/**
+ * Connect to the port of every host, and collect the hosts that accept the connection.
+ *
+ * @param {string[]} hosts IPv4 addresses
+ * @param {number} port Port
+ * @param {number} timeout Connect timeout in milliseconds
+ * @param {number} concurrency Number of hosts probed at the same time
+ * @return {Promise<DiscoveredPrinter[]>}
+ */
+function probePort(hosts, port, timeout, concurrency) {
+    return new Promise((resolve) => {
+        /** @type {DiscoveredPrinter[]} */
+        const printers = [];
+        let next = 0;
+        let running = 0;
+
+        const probeNext = () => {
+            if (next >= hosts.length) {
+                if (running === 0) {
+                    // Report the hosts in address order, not in the order they answered.
+                    resolve(printers.sort((a, b) => hosts.indexOf(a.host) - hosts.indexOf(b.host)));
+                }
+                return;
+            }
+            const host = hosts[next++];
+            running++;
+            const socket = net.connect({ host, port });
+            let settled = false;
+            const done = (open) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                socket.destroy();
+                if (open) {
+                    printers.push({
+                        deviceId: `${host}:${port}`,
+                        name: `Network printer ${host}`,
+                        interface: "NETWORK",
+                        host,
+                        port,
+                        source: "PROBE",
+                    });
+                }
+                running--;
+                probeNext();
+            };
+            socket.setTimeout(timeout, () => done(false));
+            socket.on("connect", () => done(true));
+            socket.on("error", () => done(false));
+        };
+
+        if (hosts.length === 0) {
+            resolve(printers);
+            return;
+        }
+        for (let i = 0; i < Math.min(concurrency, hosts.length); i++) {
+            probeNext();
+        }
+    });
+}
+
+/**
+ * List the host addresses of an IPv4 CIDR range, without the network and broadcast address.
+ *
+ * @param {string} cidr Range, e.g. 192.168.1.0/24, or a single address
+ * @return {string[]} Addresses
+ */
+function expandCidr(cidr) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(`${cidr}`.trim());
+    const octets = match ? match.slice(1, 5).map(Number) : [];
+    const prefix = match && match[5] !== undefined ? Number(match[5]) : 32;
+    if (!match || octets.some((octet) => octet > 255) || prefix > 32) {
+        throw Error(`discoverNetworkPrinters(): invalid subnet "${cidr}", expected e.g. 192.168.1.0/24`);
+    }
+    const size = Math.pow(2, 32 - prefix);
+    if (size > MAX_PROBE_HOSTS) {
+        throw Error(`discoverNetworkPrinters(): subnet "${cidr}" is too large, the largest subnet is a /16`);
+    }
+    const address = octets.reduce((value, octet) => value * 256 + octet, 0);
+    const network = address - (address % size);
+    // A /31 or /32 has no network and broadcast address.
+    const first = size > 2 ? network + 1 : network;
+    const last = size > 2 ? network + size - 2 : network + size - 1;
+    const hosts = [];
+    for (let value = first; value <= last; value++) {
+        hosts.push([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].join("."));
+    }
+    return hosts;
+}
+
+/**
+ * Encode an mDNS query.
+ *
+ * @param {{name:string,type:number}[]} questions Questions
+ * @return {Buffer} DNS message
+ */
+function encodeQuery(questions) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(questions.length, 4);
+    const parts = [header];
+    questions.forEach((question) => {
+        question.name
+            .replace(/\.$/, "")
+            .split(".")
+            .forEach((label) => {
+                const bytes = Buffer.from(label, "utf8");
+                parts.push(Buffer.from([bytes.length]), bytes);
+            });
+        const tail = Buffer.alloc(5);
+        tail.writeUInt16BE(question.type, 1);
+        tail.writeUInt16BE(CLASS_IN | CLASS_UNICAST_RESPONSE, 3);
+        parts.push(tail);
+    });
+    return Buffer.concat(parts);
+}
+
+/**
+ * Read a possibly compressed domain name.
+ *
+ * @param {Buffer} message DNS message
+ * @param {number} offset Start of the name
+ * @return {{name:string,end:number}} Name, without the trailing dot, and the offset after the name
+ */
+function decodeName(message, offset) {
+    const labels = [];
+    let position = offset;
+    let end = -1;
+    // Guard against compression loops.
+    for (let jumps = 0; jumps < 64; jumps++) {
+        const length = message[position];
+        if (length === undefined) {
+            throw Error("DNS name out of bounds");
+        }
+        if (length === 0) {
+            return { name: labels.join("."), end: end === -1 ? position + 1 : end };
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (end === -1) {
+                end = position + 2;
+            }
+            position = message.readUInt16BE(position) & 0x3fff;
+            continue;
+        }
+        labels.push(message.toString("utf8", position + 1, position + 1 + length));
+        position += length + 1;
+    }
+    throw Error("DNS name compression loop");
+}
+
+/**
+ * Decode the answer, authority and additional records of a DNS response.
+ *
+ * @param {Buffer} message DNS message
+ * @return {{name:string,type:number,data:any}[]} Records; PTR data is a name, SRV data {target, port}, TXT data an
+ *         object with the key/value pairs, A data the address. Other records, like AAAA, are skipped
+ */
+function decodeRecords(message) {
+    const questionCount = message.readUInt16BE(4);
+    const recordCount = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+    let offset = 12;
+    for (let i = 0; i < questionCount; i++) {
+        offset = decodeName(message, offset).end + 4;
+    }
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        const { name, end } = decodeName(message, offset);
+        const type = message.readUInt16BE(end);
+        const length = message.readUInt16BE(end + 8);
+        const start = end + 10;
+        offset = start + length;
+        if (offset > message.length) {
+            throw Error("DNS record out of bounds");
+        }
+        if (type === TYPE_PTR) {
+            records.push({ name, type, data: decodeName(message, start).name });
+        } else if (type === TYPE_SRV) {
+            const port = message.readUInt16BE(start + 4);
+            records.push({ name, type, data: { target: decodeName(message, start + 6).name, port } });
+        } else if (type === TYPE_TXT) {
+            /** @type {Object<string, string>} */
+            const txt = {};
+            for (let position = start; position < offset; position += message[position] + 1) {
+                const entry = message.toString("utf8", position + 1, position + 1 + message[position]);
+                const separator = entry.indexOf("=");
+                if (separator > 0) {
+                    txt[entry.substring(0, separator)] = entry.substring(separator + 1);
+                } else if (entry) {
+                    txt[entry] = "";
+                }
+            }
+            records.push({ name, type, data: txt });
+        } else if (type === TYPE_A && length === 4) {
+            records.push({ name, type, data: Array.from(message.subarray(start, offset)).join(".") });
+        }
+    }
+    return records;
+}
@@ -4,8 +4,37 @@ import fs from "node:fs";
 import net from "node:net";
 import os from "node:os";
 import path from "node:path";
-import { convertImageToBitmap } from "./image-services.js";
+import { Readable } from "node:stream";
+import {
+    ConfigError,
+    DymoError,
+    ImageError,
+    PrinterNotFoundError,
+    PrinterStatusError,
+    TimeoutError,
+    TransportError,
+} from "./errors.js";
+import { convertImageToBitmap, fitImageToLabel } from "./image-services.js";
+import { DYMO_LABELS, findLabel } from "./labels.js";
+import { renderTemplate } from "./layout-services.js";
+import { cancelJob, getJobAttributes, getPrinterAttributes, printJob } from "./ipp-services.js";
+import {
+    DRIVER_LABELMANAGER,
+    PRINTER_MODELS,
+    ROLL_AUTO,
+    ROLL_LEFT,
+    ROLL_RIGHT,
+    TAPE_WIDTHS,
+    findPrinterModel,
+} from "./printer-models.js";
 import { execute } from "./system-services.js";
+import {
+    createFileTransport,
+    createNetworkTransport,
+    createStreamTransport,
+    sendToTransport,
+} from "./transport-services.js";
+import { listUsbPrinters } from "./usb-services.js";
 
 // Technical specifications Dymo LabelWriter 450.
 // https://download.dymo.com/dymo/user-guides/LabelWriter/LWSE450/LWSE450_TechnicalReference.pdf
@@ -17,17 +46,65 @@ const CMD_RESET = Buffer.from([0x1b, "*".charCodeAt(0)]);
 const CMD_FULL_FORM_FEED = Buffer.from([0x1b, "E".charCodeAt(0)]);
 // Feed to Print Head. Use this command when printing multiple labels.
 const CMD_SHORT_FORM_FEED = Buffer.from([0x1b, "G".charCodeAt(0)]);
-const CMD_TEXT_SPEED_MODE = Buffer.from([0x1b, "h".charCodeAt(0)]);
-const CMD_DENSITY_NORMAL = Buffer.from([0x1b, "e".charCodeAt(0)]);
-const CMD_NO_DOT_TAB = Buffer.from([0x1b, "B".charCodeAt(0), 0]);
+// <esc> h Text Speed Mode (300x300 dpi), the default, high speed printing mode.
+// <esc> i Barcode and Graphics Mode (300x600 dpi), slower but sharper barcodes and graphics.
+const CMD_QUALITY_MODES = {
+    TEXT: Buffer.from([0x1b, "h".charCodeAt(0)]),
+    GRAPHICS: Buffer.from([0x1b, "i".charCodeAt(0)]),
+};
+// Set the strobe time of the printer to a percentage of its standard duty cycle.
+// <esc> c Light (70%), <esc> d Medium (85%), <esc> e Normal (100%), <esc> g Dark (130%).
+const CMD_DENSITIES = {
+    LIGHT: Buffer.from([0x1b, "c".charCodeAt(0)]),
+    MEDIUM: Buffer.from([0x1b, "d".charCodeAt(0)]),
+    NORMAL: Buffer.from([0x1b, "e".charCodeAt(0)]),
+    DARK: Buffer.from([0x1b, "g".charCodeAt(0)]),
+};
+// <syn> Transfer Print Data, followed by one raster line of uncompressed print data.
+const CMD_RASTER_LINE = 0x16;
+// <etb> Transfer Compressed Print Data, followed by one raster line of run-length encoded print data.
+const CMD_RASTER_LINE_COMPRESSED = 0x17;
+// <esc> q n Select Roll, Twin Turbo only.
+// n is "0" for automatic selection, "1" for the left roll and "2" for the right roll.
+const CMD_SELECT_ROLL = {
+    [ROLL_AUTO]: Buffer.from([0x1b, "q".charCodeAt(0), "0".charCodeAt(0)]),
+    [ROLL_LEFT]: Buffer.from([0x1b, "q".charCodeAt(0), "1".charCodeAt(0)]),
+    [ROLL_RIGHT]: Buffer.from([0x1b, "q".charCodeAt(0), "2".charCodeAt(0)]),
+};
+// <esc> A Request Print Engine Status. The printer answers with a single status byte.
+const CMD_REQUEST_STATUS = Buffer.from([0x1b, "A".charCodeAt(0)]);
+
+// Status byte bits, as returned by <esc> A.
+const STATUS_READY = 0x01;
+const STATUS_TOP_OF_FORM = 0x02;
+const STATUS_BUSY = 0x08;
+const STATUS_PAPER_OUT = 0x20;
+const STATUS_ERROR = 0x40;
 
 // To reset the printer after a synchronization error or to recover from an unknown state, the host computer needs
 // to send at least 85 continuous <esc> characters to the printer. This 85-character sequence is required in case the
 // printer is in a mode in which it expects a raster line of data. The 85 <esc> characters exceed the default number
 // of bytes required for a full line of raster data (84); this ensures that the printer looks for an ESC command.
 // https://download.dymo.com/dymo/technical-data-sheets/LW%20450%20Series%20Technical%20Reference.pdf
+// The 313 characters also exceed the 156 bytes of a raster line of the 4XL.
 const CMD_START_ESC = Buffer.from(new Array(313).fill(0x1b));
 
+// LabelManager tape printers.
+// The job starts with 8 zero bytes instead of the <esc> characters, and ends with <esc> A: the printer feeds, cuts the
+// tape and answers with its status. There is no form feed, the tape is fed with empty raster lines.
+const CMD_TAPE_INIT = Buffer.alloc(8);
+// <esc> C n Set Tape Type, 0 for the standard D1 tape.
+const CMD_TAPE_TYPE = Buffer.from([0x1b, "C".charCodeAt(0), 0]);
+// Width of the tape used when none is configured (mm).
+const DEFAULT_TAPE_WIDTH = 12;
+// Empty raster lines after the label to move it past the cutter, 180 lines per inch.
+const TAPE_FEED_LINES = 224;
+// Raster line of a dotted chain mark, shows where to cut copies that are not cut by the printer.
+const TAPE_CHAIN_MARK = 0x99;
+
+// Widest print head of all models, dot tabs beyond it are invalid for every model.
+const MAX_PRINT_HEAD_BYTES = Math.max(...Object.keys(PRINTER_MODELS).map((key) => PRINTER_MODELS[key].printHeadBytes));
+
 const IS_WINDOWS = process.platform === "win32";
 const IS_MACOS = process.platform === "darwin";
 const IS_LINUX = process.platform === "linux";
@@ -36,14 +113,164 @@ const PRINTER_INTERFACE_CUPS = "CUPS";
 const PRINTER_INTERFACE_NETWORK = "NETWORK";
 const PRINTER_INTERFACE_WINDOWS = "WINDOWS";
 const PRINTER_INTERFACE_DEVICE = "DEVICE";
+const PRINTER_INTERFACE_IPP = "IPP";
+const PRINTER_INTERFACE_FILE = "FILE";
+const PRINTER_INTERFACE_MEMORY = "MEMORY";
+
+// IPP printer-state-reasons that mean the printer is out of labels, or needs someone to fix it.
+const IPP_PAPER_OUT_REASONS = ["media-empty", "media-needed"];
+const IPP_ERROR_REASONS = ["media-jam", "cover-open", "door-open"];
+
+// Interval between the job status requests while waiting for a job to complete.
+const JOB_POLL_INTERVAL = 1000;
+// Job states in which the job is finished.
+const JOB_FINAL_STATES = ["completed", "canceled", "aborted"];
+
+// Environment of the CUPS commands whose output is parsed, the messages are translated in other locales.
+const CUPS_COMMAND_ENV = { LC_ALL: "C" };
+// Printer states in the first line of every printer in "lpstat -p" output.
+const LPSTAT_PRINTER_STATES = { "is idle": "idle", "now printing": "printing", disabled: "stopped" };
+// Win32_Printer properties of the printer list, and the PrinterStatus values.
+const WINDOWS_PRINTER_PROPERTIES = ["DeviceID", "Name", "DriverName", "PortName", "PrinterStatus"];
+const WINDOWS_PRINTER_STATUS = {
+    1: "other",
+    2: "unknown",
+    3: "idle",
+    4: "printing",
+    5: "warmup",
+    6: "stopped",
+    7: "offline",
+};
+
+const COMPRESSION_AUTO = "AUTO";
+const COMPRESSION_COMPRESSED = "COMPRESSED";
+const COMPRESSION_UNCOMPRESSED = "UNCOMPRESSED";
+
+/**
+ * @typedef {Object} SystemPrinter
+ * @property {string} deviceId CUPS queue or Windows printer name, the deviceId of the printer config
+ * @property {string} name Description of the printer
+ * @property {string} [uri] Device URI (CUPS), e.g. usb://DYMO/LabelWriter%20450?serial=... or socket://host:9100
+ * @property {string} [port] Port name (Windows), e.g. USB001
+ * @property {string} [makeAndModel] Make and model, from the USB device URI (CUPS) or the driver name (Windows)
+ * @property {string} [state] Printer state: idle, printing or stopped, and on Windows also other, unknown, warmup
+ *                            or offline
+ * @property {boolean} [enabled] False when the queue is paused or the printer is offline
+ * @property {boolean} [accepting] False when the queue rejects new jobs (CUPS)
+ * @property {string[]} stateReasons Printer state reasons, e.g. paused or media-empty-error
+ * @property {boolean} [raw] The queue has no driver and passes the job to the printer as is (CUPS)
+ */
 
 /**
  * @typedef {Object} PrinterConfig
- * @property {string} [interface] Printer interface (CUPS, NETWORK, WINDOWS, DEVICE)
+ * @property {string} [interface] Printer interface (CUPS, NETWORK, WINDOWS, DEVICE, IPP), or FILE and MEMORY to
+ *                                capture the output without printing
  * @property {string} [host] Printer host name or IP address
  * @property {number} [port] Printer port
+ * @property {string} [uri] Printer URI (IPP), e.g. ipp://printserver:631/printers/LabelWriter-450 or ipps://...,
+ *                          defaults to ipp://host:port/ipp/print
+ * @property {string} [username] User name (IPP), sent as requesting-user-name and for basic authentication
+ * @property {string} [password] Password (IPP) for basic authentication
  * @property {string} [deviceId] Printer device ID
  * @property {string} [device] Printer device name
+ * @property {string} [file] File to write the output to (FILE), every job overwrites it
+ * @property {string} [compression] Raster line compression (AUTO, COMPRESSED, UNCOMPRESSED), defaults to AUTO
+ * @property {boolean} [skipBlankLines] Feed fully blank lines instead of sending them (defaults to false)
+ * @property {string} [density] Default print density (LIGHT, MEDIUM, NORMAL, DARK), defaults to NORMAL
+ * @property {string} [qualityMode] Default print quality mode (TEXT, GRAPHICS), defaults to TEXT
+ * @property {number} [dotTab] Default dot tab, shifts the print to the right in bytes (8 dots), defaults to 0
+ * @property {string|import("./printer-models.js").PrinterModel} [model] Printer model (key from PRINTER_MODELS,
+ *           printer name or model object), detected from the printer name when omitted
+ * @property {string} [roll] Default label roll of a Twin Turbo (AUTO, LEFT, RIGHT), the printer's choice when omitted
+ * @property {number} [tapeWidth] Default tape width of a LabelManager in mm (6, 9, 12, 19, 24), defaults to 12
+ * @property {number} [connectTimeout] Time to wait for the connection in milliseconds (NETWORK), defaults to 30000
+ * @property {number} [idleTimeout] Time the connection may be idle in milliseconds (NETWORK and IPP), while sending
+ *                                  and while waiting for the printer to accept the job, defaults to 30000
+ */
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {boolean} [checkStatus] Check the printer status before and after the job (NETWORK, DEVICE and IPP only)
+ * @property {string} [density] Print density (LIGHT, MEDIUM, NORMAL, DARK), overrides the configured density
+ * @property {string} [qualityMode] Print quality mode (TEXT, GRAPHICS), overrides the configured quality mode
+ * @property {number} [dotTab] Dot tab in bytes (8 dots), overrides the configured dot tab
+ * @property {string} [roll] Label roll of a Twin Turbo (AUTO, LEFT, RIGHT), overrides the configured roll
+ * @property {number} [tapeWidth] Tape width of a LabelManager in mm (6, 9, 12, 19, 24), overrides the configured width
+ * @property {boolean} [cut] Cut every copy (LabelManager), without cut the copies are separated by a dotted line,
+ *                           defaults to true
+ * @property {number} [feed] Empty raster lines after the label (LabelManager), defaults to 224 (31mm)
+ * @property {string|import("./labels.js").DymoLabel} [label] Label (key from DYMO_LABELS or label object) to fit the
+ *                                                           image to
+ * @property {string} [fit] How to fit the image to the label (CONTAIN, COVER, STRETCH), defaults to CONTAIN
+ * @property {number} [printCount] Number of prints, when the options are passed as second argument of print()
+ * @property {string|number} [orientation] Image orientation (AUTO, LANDSCAPE, PORTRAIT) or explicit rotation
+ *                                         (0, 90, 180, 270), defaults to AUTO
+ * @property {string} [dithering] Monochrome conversion (DITHER565, THRESHOLD, FLOYD_STEINBERG, ATKINSON, BAYER, AUTO),
+ *                                defaults to DITHER565
+ * @property {number} [threshold] Threshold level for THRESHOLD dithering, 0-255 (defaults to 128)
+ * @property {boolean} [invert] Invert the image, print white on black
+ * @property {number} [brightness] Brightness adjustment before conversion, -1 to +1
+ * @property {number} [contrast] Contrast adjustment before conversion, -1 to +1
+ * @property {string} [title] Job title (CUPS and IPP)
+ * @property {number} [priority] Job priority from 1 to 100 (CUPS), defaults to 50
+ * @property {string} [hold] Hold the job (CUPS): indefinite, immediate, day-time, night, second-shift, third-shift,
+ *                           weekend or a time of day hh:mm
+ * @property {Object<string, string|number|boolean>} [cupsOptions] lp options (CUPS), e.g. { raw: true } for -o raw
+ * @property {boolean} [waitForCompletion] Resolve when the job is completed instead of when it is queued (CUPS and
+ *                                         IPP), rejects when the job is cancelled or aborted
+ * @property {number} [completionTimeout] Time to wait for the job to complete in milliseconds, defaults to 300000
+ * @property {function(BatchProgress):void} [onProgress] Called by printBatch() after every label handed to the printer
+ * @property {AbortSignal} [signal] Abort sending the job, the job is not completed and the promise rejects with an
+ *                                  AbortError. A job that was handed to the spooler is cancelled with cancelJob()
+ * @property {function(JobStatus|void):void} [onSent] Called when the printer or spooler accepted the job, before the
+ *                                                   status check and waiting for completion, aborting has no effect
+ *                                                   from then on
+ */
+
+/**
+ * @typedef {Object} BatchLabel
+ * @property {Jimp} image Image object, preferably in landscape orientation
+ * @property {number} [copies] Number of prints of this label, defaults to 1
+ * @property {PrintOptions} [options] Options of this label: label, fit, orientation, dithering and the other image
+ *                                    options, and the tape options of a LabelManager
+ */
+
+/**
+ * @typedef {Object} BatchProgress
+ * @property {number} index Index of the label that was handed to the printer, starting at 0
+ * @property {number} copies Number of prints of that label
+ * @property {number} labels Number of labels handed to the printer so far
+ * @property {number} prints Number of prints so far
+ * @property {number} [total] Number of labels in the batch, only known when the labels are an array
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} labels Number of labels printed
+ * @property {number} prints Number of prints, the copies of all labels
+ * @property {JobStatus} [job] The job, for the CUPS and IPP interfaces
+ */
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string|number} [jobId] Job id: the CUPS request id, e.g. LabelWriter-450-42, or the IPP job-id. Undefined
+ *                                    when lp queued the job without reporting its id, the job cannot be tracked then
+ * @property {string} jobState Job state: pending, pending-held, processing, processing-stopped, canceled, aborted or
+ *                             completed
+ * @property {string[]} jobStateReasons Job state reasons, e.g. job-printing
+ * @property {string} [jobUri] Job URI (IPP)
+ */
+
+/**
+ * @typedef {Object} PrinterStatus
+ * @property {boolean} ready Printer is ready to print
+ * @property {boolean} paperOut Printer is out of labels
+ * @property {boolean} topOfForm Label is at the top of form position
+ * @property {boolean} busy Printer is busy printing
+ * @property {boolean} error Printer reports an error, like a paper jam
+ * @property {number} [statusByte] Raw status byte as returned by the printer (NETWORK and DEVICE)
+ * @property {string} [state] IPP printer-state: idle, processing or stopped (IPP)
+ * @property {string[]} [stateReasons] IPP printer-state-reasons, e.g. media-empty-error (IPP)
  */
 
 /**
@@ -52,25 +279,13 @@ const PRINTER_INTERFACE_DEVICE = "DEVICE";
  */
 export class DymoServices {
     /**
-     * Dymo 99010 labels S0722370 compatible , 89mm x 28mm (3.5inch x 1.1inch, 300dpi).
+     * Catalogue of DYMO LabelWriter labels, by part number, with dimensions and printable area (300dpi).
      */
-    static DYMO_LABELS = {
-        "89mm x 28mm": {
-            title: "89mm x 28mm",
-            imageWidth: 964,
-            imageHeight: 300,
-        },
-        "89mm x 36mm": {
-            title: "89mm x 36mm",
-            imageWidth: 964,
-            imageHeight: 390,
-        },
-        "54mm x 25mm": {
-            title: "54mm x 25mm",
-            imageWidth: 584,
-            imageHeight: 270,
-        },
-    };
+    static DYMO_LABELS = DYMO_LABELS;
+    /**
+     * Profiles of the LabelWriter models, by key.
+     */
+    static PRINTER_MODELS = PRINTER_MODELS;
 
     /**
      * @private
@@ -82,316 +297,1495 @@ export class DymoServices {
      * @type {Buffer[]}
      */
     chunks = [];
+    /**
+     * @private
+     * @type {Buffer[]}
+     */
+    capturedJobs = [];
+    /**
+     * @private
+     * @type {import("./printer-models.js").PrinterModel|undefined}
+     */
+    model = undefined;
 
     /**
      * Create new DymoServices instance.
      *
-     * @param {PrinterConfig} [config] Optional printer configuration
+     * @param {PrinterConfig} [config] Optional printer configuration
+     */
+    constructor(config = undefined) {
+        if (config) {
+            Object.assign(this.config, config);
+            DymoServices.validateConfig(this.config);
+        }
+    }
+
+    /**
+     * Print the image.
+     * The size of the image should match the size of the label, unless a label is given in the options. In that
+     * case the image is fitted to the printable area of the label.
+     * Landscape images are rotated to portrait raster lines automatically, see the orientation option.
+     *
+     * @param {Jimp} image image object, preferably in landscape orientation
+     * @param {number|PrintOptions} [printCount] Number of prints (defaults to 1), or the print options
+     * @param {PrintOptions} [options] Print options
+     * @return {Promise<JobStatus|void>} Resolves in case of success, with the job for the CUPS and IPP interfaces,
+     *                                   rejects otherwise
+     */
+    print(image, printCount = 1, options = {}) {
+        if (typeof printCount === "object" && printCount !== null) {
+            options = printCount;
+            printCount = options.printCount || 1;
+        }
+        return this.encodeImage(image, printCount, options).then((buffer) => this.printRaw(buffer, options));
+    }
+
+    /**
+     * Convert the image into the printer commands of a complete print job, without sending them.
+     * The result can be sent with printRaw(), stored, or sent again later.
+     * On a LabelManager the image height should fit the tape width, the label is as long as the image is wide.
+     *
+     * @param {Jimp} image image object, preferably in landscape orientation
+     * @param {number} [printCount] Number of prints (defaults to 1)
+     * @param {PrintOptions} [options] Print options
+     * @return {Promise<Buffer>} Resolves with the printer commands and raster data
+     */
+    encodeImage(image, printCount = 1, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.resolveModel()
+                .then((model) => this.convertImage(image, options, model))
+                .then((bitmapImageBuffer) => resolve(this.encodeJob(bitmapImageBuffer, printCount, options)))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Print many different labels in a single print job, with one initialisation sequence.
+     * The labels are encoded one at a time while the job is sent, so the batch is never in memory as a whole. Every
+     * label is an image, or a BatchLabel with its own number of copies and image options. The density, quality mode,
+     * dot tab and roll of the print options apply to the whole job.
+     * On a LabelManager every label is cut, or separated by a dotted line when the cut option is false.
+     *
+     * @param {Iterable<Jimp|BatchLabel>|AsyncIterable<Jimp|BatchLabel>} labels Array, iterable or async iterable
+     * @param {PrintOptions} [options] Print options, onProgress is called after every label
+     * @return {Promise<BatchResult>} Resolves when the job is sent, rejects otherwise
+     */
+    printBatch(labels, options = {}) {
+        return new Promise((resolve, reject) => {
+            const iterate = labels && (labels[Symbol.asyncIterator] || labels[Symbol.iterator]);
+            if (typeof iterate !== "function") {
+                throw new ConfigError("printBatch(): labels should be an array, iterable or async iterable");
+            }
+            const iterator = iterate.call(labels);
+            const total = Array.isArray(labels) ? labels.length : undefined;
+            const closeIterator = () => {
+                if (typeof iterator.return === "function") {
+                    Promise.resolve()
+                        .then(() => iterator.return())
+                        .catch(() => undefined);
+                }
+            };
+            let model;
+            let printSettings;
+            let index = 0;
+            let prints = 0;
+            let finished = false;
+            /** @type {Promise<IteratorResult<Jimp|BatchLabel>>|undefined} */
+            let nextResult;
+
+            // Encode the next label, resolves with null when the job is complete.
+            const readLabel = () => {
+                if (finished) {
+                    return Promise.resolve(null);
+                }
+                const result = nextResult || Promise.resolve(iterator.next());
+                nextResult = undefined;
+                return result.then((next) => {
+                    if (next.done) {
+                        finished = true;
+                        // The LabelManager ends every label itself, the LabelWriter ends the job with a form feed.
+                        return model.driver === DRIVER_LABELMANAGER ? null : CMD_FULL_FORM_FEED;
+                    }
+                    const label = DymoServices.toBatchLabel(next.value, index);
+                    const labelOptions = { ...options, ...label.options };
+                    return this.convertImage(label.image, labelOptions, model).then((bitmapImageBuffer) => {
+                        const buffer =
+                            model.driver === DRIVER_LABELMANAGER
+                                ? this.encodeTapeJob(bitmapImageBuffer, label.copies, labelOptions, model)
+                                : this.encodeBatchLabel(bitmapImageBuffer, label.copies, printSettings, model, index);
+                        prints += label.copies;
+                        if (options.onProgress) {
+                            options.onProgress({ index, copies: label.copies, labels: index + 1, prints, total });
+                        }
+                        index++;
+                        return buffer;
+                    });
+                });
+            };
+
+            this.resolveModel()
+                .then((resolved) => {
+                    model = resolved;
+                    if (model.driver !== DRIVER_LABELMANAGER) {
+                        printSettings = this.resolvePrintSettings(options, model);
+                    }
+                    // Fetch the first label before the job is started, an empty batch is not sent.
+                    nextResult = Promise.resolve(iterator.next());
+                    return nextResult;
+                })
+                .then((first) => {
+                    if (first.done) {
+                        throw new ImageError("printBatch(): no labels to print");
+                    }
+                    const stream = new Readable({
+                        read() {
+                            readLabel()
+                                .then((buffer) => stream.push(buffer))
+                                .catch((error) => stream.destroy(error));
+                        },
+                    });
+                    return this.sendJob(stream, options);
+                })
+                .then((job) => resolve({ labels: index, prints, job }))
+                .catch((error) => {
+                    closeIterator();
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Render the label template with the data and print it.
+     * The template is printed with THRESHOLD dithering, unless the options say otherwise, so text and barcodes
+     * stay crisp.
+     *
+     * @param {import("./layout-services.js").LabelTemplate|string} template Template, or JSON file with the template
+     * @param {Object} [data] Data for the {{placeholders}} in the template
+     * @param {number} [printCount] Number of prints (defaults to 1)
+     * @param {PrintOptions} [options] Print options
+     * @return {Promise<JobStatus|void>} Resolves in case of success, with the job for the CUPS and IPP interfaces,
+     *                                   rejects otherwise
+     */
+    printTemplate(template, data = {}, printCount = 1, options = {}) {
+        return renderTemplate(template, data).then((image) =>
+            this.print(image, printCount, { dithering: "THRESHOLD", ...options })
+        );
+    }
+
+    /**
+     * Send a pre-rendered printer buffer to the printer as is.
+     * The buffer should contain the complete print job, including the initialisation and form feed commands.
+     *
+     * @param {Buffer} buffer Printer commands and raster data
+     * @param {PrintOptions} [options] Print options, only checkStatus and the job options (CUPS and IPP) are used
+     * @return {Promise<JobStatus|void>} Resolves in case of success, with the job for the CUPS and IPP interfaces,
+     *                                   rejects otherwise
+     */
+    printRaw(buffer, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!Buffer.isBuffer(buffer)) {
+                throw new ConfigError("printRaw(): buffer should be of type Buffer");
+            }
+            if (buffer.length === 0) {
+                throw new ImageError("printRaw(): Empty buffer, nothing to print.");
+            }
+            this.sendJob(buffer, options).then(resolve).catch(reject);
+        });
+    }
+
+    /**
+     * List all available system printers, with their connection and state.
+     *
+     * @return {Promise<SystemPrinter[]>} List of printers or empty list
+     */
+    listPrinters() {
+        if (IS_WINDOWS) {
+            return DymoServices.listPrintersWindows();
+        }
+        if (IS_MACOS || IS_LINUX) {
+            return DymoServices.listPrintersMacLinux();
+        }
+        return Promise.reject(
+            new PrinterNotFoundError("Cannot list printers, unsupported operating system: " + process.platform)
+        );
+    }
+
+    /**
+     * Check if a printer of listPrinters() is a DYMO printer, by its make and model, device URI or name.
+     *
+     * @param {SystemPrinter} printer Printer
+     * @return {boolean}
+     */
+    static isDymoPrinter(printer) {
+        return [printer.makeAndModel, printer.uri, printer.name].some((value) => !!value && /dymo/i.test(value));
+    }
+
+    /**
+     * Get the profile of the printer model: the configured model, or else the model detected from the printer name.
+     * Printers that cannot be recognized get the LW450 profile.
+     *
+     * @return {Promise<import("./printer-models.js").PrinterModel>} Resolves with the model profile
+     */
+    getModel() {
+        return this.resolveModel();
+    }
+
+    /**
+     * Get the output of the jobs sent to the MEMORY interface, in the order they were sent.
+     * Decode them with decodeRaster() or createRasterPreviews().
+     *
+     * @return {Buffer[]} Printer commands and raster data per job
+     */
+    getCapturedJobs() {
+        return this.capturedJobs.slice();
+    }
+
+    /**
+     * Forget the jobs captured by the MEMORY interface.
+     */
+    clearCapturedJobs() {
+        this.capturedJobs.length = 0;
+    }
+
+    /**
+     * Request the printer status.
+     * Only supported by the bidirectional NETWORK and DEVICE interfaces, and by IPP with Get-Printer-Attributes.
+     * The FILE and MEMORY interfaces are always ready.
+     *
+     * @return {Promise<PrinterStatus>} Resolves with the parsed printer status, rejects otherwise
+     */
+    getStatus() {
+        return new Promise((resolve, reject) => {
+            const printerInterface = this.config.interface;
+            if (printerInterface === PRINTER_INTERFACE_NETWORK) {
+                DymoServices.requestNetworkPrinterStatus(this.config.host, this.config.port)
+                    .then((statusByte) => resolve(DymoServices.parseStatus(statusByte)))
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            if (printerInterface === PRINTER_INTERFACE_DEVICE) {
+                DymoServices.requestDevicePrinterStatus(/** @type {string} */ (this.config.device))
+                    .then((statusByte) => resolve(DymoServices.parseStatus(statusByte)))
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            if (printerInterface === PRINTER_INTERFACE_FILE || printerInterface === PRINTER_INTERFACE_MEMORY) {
+                resolve(DymoServices.parseStatus(STATUS_READY | STATUS_TOP_OF_FORM));
+                return;
+            }
+            if (printerInterface === PRINTER_INTERFACE_IPP) {
+                getPrinterAttributes(DymoServices.ippUri(this.config), this.config)
+                    .then((attributes) => resolve(DymoServices.parseIppStatus(attributes)))
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            reject(
+                new ConfigError(`Cannot request printer status, unsupported printer interface: "${printerInterface}"`)
+            );
+        });
+    }
+
+    /**
+     * Request the status of a print job.
+     * Only supported by the CUPS and IPP interfaces, the job id is the one print() and printRaw() resolve with.
+     *
+     * @param {string|number} jobId Job id
+     * @return {Promise<JobStatus>} Resolves with the job status, rejects if the job is not found
+     */
+    getJobStatus(jobId) {
+        return new Promise((resolve, reject) => {
+            const printerInterface = this.config.interface;
+            if (printerInterface === PRINTER_INTERFACE_CUPS) {
+                DymoServices.requestCupsJobStatus(`${jobId}`)
+                    .then(resolve)
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            if (printerInterface === PRINTER_INTERFACE_IPP) {
+                getJobAttributes(DymoServices.ippUri(this.config), Number(jobId), this.config)
+                    .then(resolve)
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            reject(new ConfigError(`Cannot request job status, unsupported printer interface: "${printerInterface}"`));
+        });
+    }
+
+    /**
+     * Cancel a print job that is not completed yet.
+     * Only supported by the CUPS and IPP interfaces, the job id is the one print() and printRaw() resolve with.
+     *
+     * @param {string|number} jobId Job id
+     * @return {Promise<void>} Resolves when the job is cancelled, rejects otherwise
+     */
+    cancelJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const printerInterface = this.config.interface;
+            if (printerInterface === PRINTER_INTERFACE_CUPS) {
+                execute("cancel", [`${jobId}`])
+                    .then(() => resolve())
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            if (printerInterface === PRINTER_INTERFACE_IPP) {
+                cancelJob(DymoServices.ippUri(this.config), Number(jobId), this.config)
+                    .then(resolve)
+                    .catch((error) => reject(this.toTransportError(error)));
+                return;
+            }
+            reject(new ConfigError(`Cannot cancel job, unsupported printer interface: "${printerInterface}"`));
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Send the job, checking the printer status before and after it and waiting for completion when asked.
+     *
+     * @param {Buffer|Readable} data Printer commands and raster data, or a stream of them
+     * @param {PrintOptions} options Print options
+     * @return {Promise<JobStatus|void>} Resolves in case of success, with the job for the CUPS and IPP interfaces,
+     *                                   rejects otherwise
+     */
+    sendJob(data, options) {
+        const send = () =>
+            this.sendDataToPrinter(data, options).then((job) => {
+                if (options.onSent) {
+                    options.onSent(job);
+                }
+                return options.waitForCompletion && job
+                    ? this.waitForJob(job.jobId, options.completionTimeout).catch(DymoServices.markJobSent)
+                    : job;
+            });
+        if (!options.checkStatus) {
+            return send();
+        }
+        return this.checkStatus(true)
+            .then(send)
+            .then((job) =>
+                this.checkStatus(false)
+                    .then(() => job)
+                    .catch(DymoServices.markJobSent)
+            );
+    }
+
+    /**
+     * @private
+     *
+     * Mark an error of a step after the job was accepted, e.g. the status check after the job emptied the roll, so
+     * the job is not sent again.
+     *
+     * @param {any} error Error
+     * @return {never} Throws the error
+     */
+    static markJobSent(error) {
+        if (error && typeof error === "object") {
+            error.jobSent = true;
+        }
+        throw error;
+    }
+
+    /**
+     * @private
+     *
+     * Poll the job status until the job is finished.
+     *
+     * @param {string|number} jobId Job id
+     * @param {number} [timeout] Time to wait in milliseconds, defaults to 300000
+     * @return {Promise<JobStatus>} Resolves when the job is completed, rejects when it is cancelled or aborted
+     */
+    waitForJob(jobId, timeout = 300000) {
+        const deadline = Date.now() + timeout;
+        const poll = () =>
+            this.getJobStatus(jobId).then((status) => {
+                if (status.jobState === "completed") {
+                    return status;
+                }
+                if (JOB_FINAL_STATES.indexOf(status.jobState) !== -1) {
+                    throw new DymoError(`Print job ${jobId} was ${status.jobState}`, "JOB_FAILED");
+                }
+                if (Date.now() >= deadline) {
+                    throw new TimeoutError(`Timeout waiting for print job ${jobId} to complete.`, timeout, true);
+                }
+                return new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL)).then(poll);
+            });
+        return poll();
+    }
+
+    /**
+     * @private
+     *
+     * Convert the image into the bitmap of a label for the model: fitted to the label of the options, or to the tape
+     * width of a LabelManager.
+     *
+     * @param {Jimp} image image object, preferably in landscape orientation
+     * @param {PrintOptions} options Print options
+     * @param {import("./printer-models.js").PrinterModel} model Printer model
+     * @return {Promise<number[][]>} Resolves with the bitmap image array, lines and rows in portrait orientation
+     */
+    convertImage(image, options, model) {
+        return new Promise((resolve, reject) => {
+            let printHeadWidth = model.printHeadDots;
+            if (model.driver === DRIVER_LABELMANAGER) {
+                if (options.label) {
+                    throw new ConfigError(`The ${model.title} prints on tape, it cannot print die-cut labels`);
+                }
+                // Only the dots across the tape can be printed.
+                printHeadWidth = DymoServices.tapeDots(model, options.tapeWidth || this.config.tapeWidth);
+            } else if (options.label) {
+                image = fitImageToLabel(image, findLabel(options.label), options.fit);
+            }
+            convertImageToBitmap(image, {
+                orientation: options.orientation,
+                printHeadWidth,
+                dithering: options.dithering,
+                threshold: options.threshold,
+                invert: options.invert,
+                brightness: options.brightness,
+                contrast: options.contrast,
+            })
+                .then(resolve)
+                .catch(reject);
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Encode the bitmap image buffer into the printer commands of a complete print job.
+     * The size of the image should match the size of the label.
+     * The job is built in one go, so overlapping print jobs on the same instance cannot mix their data.
+     *
+     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
+     * @param {number} [printCount] Number of prints
+     * @param {PrintOptions} [options] Print options
+     * @return {Buffer} Printer commands and raster data
+     */
+    encodeJob(imageBuffer, printCount = 1, options = {}) {
+        if (!imageBuffer || imageBuffer.length === 0) {
+            throw new ImageError("Empty imageBuffer, cannot print");
+        }
+        if (printCount <= 0) {
+            throw new ConfigError(`PrintCount cannot be 0 or a negative number: ${printCount}`);
+        }
+        const model = this.model || findPrinterModel(this.config.model);
+        if (model.driver === DRIVER_LABELMANAGER) {
+            return this.encodeTapeJob(imageBuffer, printCount, options, model);
+        }
+        const printSettings = this.resolvePrintSettings(options, model);
+        DymoServices.validateLineWidth(imageBuffer, printSettings.dotTab, model);
+
+        // Determine the label dimensions based on the bitmap image buffer.
+        const labelLineWidth = imageBuffer[0].length * 8;
+        const labelLength = imageBuffer.length;
+        this.init(labelLineWidth, labelLength, printSettings);
+
+        // Convert bitmap array to printer bitmap, the same lines are used for every print.
+        const lines = this.encodeBitmap(imageBuffer);
+
+        for (let count = 1; count <= printCount; count++) {
+            lines.forEach((line) => this.append(line));
+            if (count === printCount) {
+                // End print job.
+                this.append(CMD_FULL_FORM_FEED);
+            } else {
+                this.append(CMD_SHORT_FORM_FEED);
+            }
+        }
+
+        const buffer = Buffer.concat(this.chunks);
+        this.clear();
+        return buffer;
+    }
+
+    /**
+     * @private
+     *
+     * Encode one label of a LabelWriter batch job. The first label starts the job with the initialisation sequence,
+     * the next labels start with a short form feed that ends the label before them and their own label format.
+     * The label is not ended, the form feed that ends it comes with the next label or ends the job.
+     *
+     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
+     * @param {number} printCount Number of prints
+     * @param {{density:string,qualityMode:string,dotTab:number,roll?:string}} printSettings Validated print settings
+     * @param {import("./printer-models.js").PrinterModel} model LabelWriter model
+     * @param {number} index Index of the label in the batch
+     * @return {Buffer} Printer commands and raster data
+     */
+    encodeBatchLabel(imageBuffer, printCount, printSettings, model, index) {
+        if (!imageBuffer || imageBuffer.length === 0) {
+            throw new ImageError(`Empty imageBuffer of label ${index}, cannot print`);
+        }
+        DymoServices.validateLineWidth(imageBuffer, printSettings.dotTab, model);
+        const labelLineWidth = imageBuffer[0].length * 8;
+        const labelLength = imageBuffer.length;
+        if (index === 0) {
+            this.init(labelLineWidth, labelLength, printSettings);
+        } else {
+            this.clear();
+            this.append(CMD_SHORT_FORM_FEED);
+            this.setLabelFormat(labelLineWidth, labelLength, printSettings.dotTab);
+        }
+
+        const lines = this.encodeBitmap(imageBuffer);
+        for (let count = 1; count <= printCount; count++) {
+            if (count > 1) {
+                this.append(CMD_SHORT_FORM_FEED);
+            }
+            lines.forEach((line) => this.append(line));
+        }
+
+        const buffer = Buffer.concat(this.chunks);
+        this.clear();
+        return buffer;
+    }
+
+    /**
+     * @private
+     *
+     * Encode the bitmap image buffer into the commands of a LabelManager tape job.
+     * Every raster line is a column of the label, so the label is as long as the image is wide. The tape is centred
+     * on the print head and the image on the tape, the density, quality mode and dot tab settings do not apply.
+     *
+     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
+     * @param {number} printCount Number of prints
+     * @param {PrintOptions} options Print options
+     * @param {import("./printer-models.js").PrinterModel} model LabelManager model
+     * @return {Buffer} Printer commands and raster data
+     */
+    encodeTapeJob(imageBuffer, printCount, options, model) {
+        const tapeWidth = options.tapeWidth || this.config.tapeWidth || DEFAULT_TAPE_WIDTH;
+        const tapeBytes = DymoServices.tapeDots(model, tapeWidth) / 8;
+        const lineBytes = imageBuffer[0].length;
+        if (lineBytes > tapeBytes) {
+            throw new ImageError(
+                `Line width of ${lineBytes} bytes exceeds the ${tapeWidth}mm tape of ${tapeBytes} bytes`
+            );
+        }
+        const feed = options.feed !== undefined ? options.feed : TAPE_FEED_LINES;
+        if (!Number.isInteger(feed) || feed < 0) {
+            throw new ConfigError(`Feed should be a positive integer or 0: "${feed}"`);
+        }
+        const dotTab = (model.printHeadBytes - tapeBytes) / 2 + Math.floor((tapeBytes - lineBytes) / 2);
+        const lines = imageBuffer.map((line) => Buffer.from([CMD_RASTER_LINE, ...line]));
+        const cut = options.cut !== false;
+
+        this.clear();
+        for (let count = 1; count <= printCount; count++) {
+            if (count === 1 || cut) {
+                this.append(CMD_TAPE_INIT);
+                this.append(CMD_TAPE_TYPE);
+            }
+            // <esc> B n Set Dot Tab and <esc> D n Set Bytes per Line, as for the LabelWriter.
+            this.append(Buffer.from([0x1b, "B".charCodeAt(0), dotTab]));
+            this.append(Buffer.from([0x1b, "D".charCodeAt(0), lineBytes]));
+            lines.forEach((line) => this.append(line));
+
+            if (count < printCount && !cut) {
+                // Chain mark over the full print head between the copies.
+                this.append(Buffer.from([0x1b, "B".charCodeAt(0), 0]));
+                this.append(Buffer.from([0x1b, "D".charCodeAt(0), model.printHeadBytes]));
+                this.append(Buffer.from([CMD_RASTER_LINE, ...new Array(model.printHeadBytes).fill(TAPE_CHAIN_MARK)]));
+                continue;
+            }
+            // Empty raster lines of 0 bytes feed the tape, the status request ends the job and cuts the tape.
+            this.append(Buffer.from([0x1b, "D".charCodeAt(0), 0]));
+            this.append(Buffer.alloc(feed, CMD_RASTER_LINE));
+            this.append(CMD_REQUEST_STATUS);
+        }
+
+        const buffer = Buffer.concat(this.chunks);
+        this.clear();
+        return buffer;
+    }
+
+    /**
+     * @private
+     *
+     * Determine the LabelWriter print settings of the job: the options, or else the configuration, or else the
+     * defaults. Throw error in case of an invalid setting.
+     *
+     * @param {PrintOptions} options Print options
+     * @param {import("./printer-models.js").PrinterModel} model LabelWriter model
+     * @return {{density:string,qualityMode:string,dotTab:number,roll?:string}} Validated print settings
+     */
+    resolvePrintSettings(options, model) {
+        const printSettings = {
+            density: options.density || this.config.density || "NORMAL",
+            qualityMode: options.qualityMode || this.config.qualityMode || "TEXT",
+            dotTab: options.dotTab !== undefined ? options.dotTab : this.config.dotTab || 0,
+            roll: options.roll || this.config.roll,
+        };
+        DymoServices.validatePrintSettings(printSettings, model.printHeadBytes);
+        if (printSettings.roll && !model.supportsRollSelection) {
+            throw new ConfigError(`Roll selection is not supported by the ${model.title}`);
+        }
+        return printSettings;
+    }
+
+    /**
+     * @private
+     *
+     * Request the printer status and reject with a PrinterStatusError if the printer cannot print.
+     *
+     * @param {boolean} beforeJob Before the job the printer has to be ready, after the job it is allowed to be busy
+     * @return {Promise<PrinterStatus>} Resolves with the printer status, rejects otherwise
+     */
+    checkStatus(beforeJob) {
+        return this.getStatus().then((status) => {
+            if (status.paperOut) {
+                throw new PrinterStatusError("Printer is out of labels.", status);
+            }
+            if (status.error) {
+                throw new PrinterStatusError("Printer reports an error, check for a paper jam.", status);
+            }
+            if (beforeJob && status.busy) {
+                throw new PrinterStatusError("Printer is busy.", status);
+            }
+            if (beforeJob && !status.ready) {
+                throw new PrinterStatusError("Printer is not ready.", status);
+            }
+            return status;
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Convert the bitmap image buffer to raster line commands, according to the configured compression.
+     *
+     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
+     * @return {Buffer[]} Printer commands, one per raster line (or per run of blank lines)
+     */
+    encodeBitmap(imageBuffer) {
+        const compression = this.config.compression || COMPRESSION_AUTO;
+        const lines = [];
+        let blankLines = 0;
+
+        for (let i = 0; i < imageBuffer.length; i++) {
+            const line = imageBuffer[i];
+            if (this.config.skipBlankLines && line.every((byte) => byte === 0)) {
+                blankLines++;
+                continue;
+            }
+            if (blankLines > 0) {
+                lines.push(...DymoServices.skipLines(blankLines));
+                blankLines = 0;
+            }
+
+            const uncompressed = Buffer.from([CMD_RASTER_LINE, ...line]);
+            if (compression === COMPRESSION_UNCOMPRESSED) {
+                lines.push(uncompressed);
+                continue;
+            }
+            const compressed = Buffer.from([CMD_RASTER_LINE_COMPRESSED, ...DymoServices.compressLine(line)]);
+            if (compression === COMPRESSION_COMPRESSED || compressed.length < uncompressed.length) {
+                lines.push(compressed);
+            } else {
+                lines.push(uncompressed);
+            }
+        }
+        if (blankLines > 0) {
+            lines.push(...DymoServices.skipLines(blankLines));
+        }
+
+        return lines;
+    }
+
+    /**
+     * @private
+     *
+     * Initialize the buffer and the printer configuration.
+     *
+     * @param {number} labelLineWidth The width the print head has to print, number of dots (300 dots per inch)
+     * @param {number} labelLength Number of lines to print (300 lines per inch)
+     * @param {{density:string,qualityMode:string,dotTab:number,roll?:string}} printSettings Validated print settings
+     */
+    init(labelLineWidth, labelLength, printSettings) {
+        this.clear();
+
+        // To reset the printer after a synchronization error or to recover from an unknown state, the host computer
+        // needs to send at least 85 continuous <esc> characters to the printer.
+        this.append(CMD_START_ESC);
+        this.append(CMD_RESET);
+        this.setLabelFormat(labelLineWidth, labelLength, printSettings.dotTab);
+
+        // <esc> h Text Speed Mode (300x300 dpi) or <esc> i Barcode and Graphics Mode (300x600 dpi)
+        // This command instructs the printer which print quality mode to use.
+        this.append(CMD_QUALITY_MODES[printSettings.qualityMode]);
+
+        // <esc> c, d, e or g Set Print Density
+        // This command sets the strobe time of the printer, from 70% to 130% of its standard duty cycle.
+        this.append(CMD_DENSITIES[printSettings.density]);
+
+        // <esc> q n Select Roll
+        // This command selects the roll of a Twin Turbo, without it the printer keeps its current choice.
+        if (printSettings.roll) {
+            this.append(CMD_SELECT_ROLL[printSettings.roll]);
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Append the label format: the dot tab, the bytes per line and the label length.
+     *
+     * @param {number} labelLineWidth The width the print head has to print, number of dots (300 dots per inch)
+     * @param {number} labelLength Number of lines to print (300 lines per inch)
+     * @param {number} dotTab Validated dot tab in bytes
+     */
+    setLabelFormat(labelLineWidth, labelLength, dotTab) {
+        // <esc> B n Set Dot Tab
+        // This command shifts the starting dot position on the print head towards the right, n bytes of 8 dots.
+        this.append(Buffer.from([0x1b, "B".charCodeAt(0), dotTab]));
+
+        // <esc> D n Set Bytes per Line
+        // This command reduces the number of bytes sent for each line.
+        // E.g. 332 pixels (will be 336 dots, 42 * 8).
+        const labelLineWidthBytes = Math.ceil(labelLineWidth / 8);
+        this.append(Buffer.from([0x1b, "D".charCodeAt(0), labelLineWidthBytes]));
+
+        // At power up, the label length variable is set to a default value of 3058 (in 300ths of an inch units),
+        // which corresponds to approximately 10.2 inches. The Set Label Length command sequence (<esc> L nl n2)
+        // allows the host software to change the label length variable to accommodate longer lengths.
+
+        // <esc> L nl n2 Set Label Length
+        // This command indicates the maximum distance the printer should travel while searching for the
+        // top-of-form hole or mark.
+        // E.g. 1052 pixels
+        const lsb = labelLength & 0xff;
+        const msb = (labelLength >> 8) & 0xff;
+        this.append(Buffer.from([0x1b, "L".charCodeAt(0), msb, lsb]));
+    }
+
+    /**
+     * @private
+     *
+     * Send the data to the printer through the transport of the configured interface.
+     * A stream is passed on as it is read, only the MEMORY interface keeps the data.
+     *
+     * @param {Buffer|Readable} buffer Printer data buffer or stream
+     * @param {PrintOptions} [options] Print options, the job options are used (CUPS and IPP)
+     * @return {Promise<JobStatus|void>} Resolves in case of success, with the job for the CUPS and IPP interfaces,
+     *                                   rejects otherwise
+     */
+    sendDataToPrinter(buffer, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.config.interface) {
+                // Try to guess what printer to use.
+                this.detectPrinter()
+                    .then(() => this.sendDataToPrinter(buffer, options))
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+            sendToTransport(buffer, this.createTransport(options), options.signal)
+                .then(resolve)
+                .catch((error) => reject(this.toTransportError(error)));
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Create the transport to the configured printer interface.
+     *
+     * @param {PrintOptions} options Print options, the job options are used (CUPS and IPP)
+     * @return {import("./transport-services.js").Transport} Transport
+     */
+    createTransport(options) {
+        const config = this.config;
+        const printerInterface = config.interface;
+        if (printerInterface === PRINTER_INTERFACE_NETWORK) {
+            return createNetworkTransport(config.host, config.port, config);
+        }
+        if (printerInterface === PRINTER_INTERFACE_MEMORY) {
+            return createStreamTransport((input) =>
+                DymoServices.readData(input).then((data) => {
+                    this.capturedJobs.push(data);
+                })
+            );
+        }
+        if (printerInterface === PRINTER_INTERFACE_FILE) {
+            return createFileTransport(/** @type {string} */ (config.file));
+        }
+        if (printerInterface === PRINTER_INTERFACE_IPP) {
+            const ippOptions = { ...config, jobName: options.title, timeout: config.idleTimeout };
+            return createStreamTransport((input) => printJob(DymoServices.ippUri(config), input, ippOptions));
+        }
+        if (printerInterface === PRINTER_INTERFACE_CUPS) {
+            return createStreamTransport((input) =>
+                DymoServices.sendDataToCupsPrinter(input, /** @type {string} */ (config.deviceId), options)
+            );
+        }
+        if (printerInterface === PRINTER_INTERFACE_WINDOWS) {
+            return createStreamTransport((input) =>
+                DymoServices.sendDataToWindowsPrinter(input, /** @type {string} */ (config.deviceId))
+            );
+        }
+        if (printerInterface === PRINTER_INTERFACE_DEVICE) {
+            if (!config.device) {
+                throw new ConfigError("Cannot write to device, the device name is empty");
+            }
+            return createFileTransport(config.device);
+        }
+        throw new ConfigError(`Unknown printer interface configured: "${printerInterface}"`);
+    }
+
+    /**
+     * @private
+     *
+     * Convert a failure to reach the printer into a TransportError with the interface, host and device of the printer.
+     * The errors of the library, e.g. a TimeoutError or IppError, and aborts are returned as they are.
+     *
+     * @param {any} error Error or message
+     * @return {any} TransportError, or the error of the library
+     */
+    toTransportError(error) {
+        const config = this.config;
+        const details = {
+            interface: config.interface,
+            host: config.host || (config.uri ? new URL(config.uri).hostname : undefined),
+            device: config.device || config.deviceId || config.file,
+        };
+        if (error instanceof TransportError) {
+            Object.keys(details).forEach((key) => {
+                if (error[key] === undefined) {
+                    error[key] = details[key];
+                }
+            });
+            return error;
+        }
+        if (error instanceof DymoError || (error && error.name === "AbortError")) {
+            return error;
+        }
+        const message = error instanceof Error ? error.message : `${error}`;
+        return new TransportError(message, { ...details, cause: error });
+    }
+
+    /**
+     * @private
+     *
+     * Find a DYMO printer and configure it. The first DYMO queue of the spooler that is not paused is used, queues
+     * connected to a DYMO device before queues that only have DYMO in their name. On Linux the USB printers are tried
+     * next, so a printer is also found without CUPS.
+     *
+     * @return {Promise<void>} Resolves when a printer is configured, rejects otherwise
+     */
+    detectPrinter() {
+        const spoolerPrinter = this.listPrinters().then((printers) => {
+            const ready = printers.filter(
+                (printer) =>
+                    DymoServices.isDymoPrinter(printer) && printer.enabled !== false && printer.accepting !== false
+            );
+            const device = ready.find((printer) => /dymo/i.test(`${printer.makeAndModel || ""} ${printer.uri || ""}`));
+            return device || ready[0];
+        });
+        const printer = IS_LINUX
+            ? spoolerPrinter.catch(() => undefined).then((found) => found || DymoServices.findUsbPrinter())
+            : spoolerPrinter;
+        return printer
+            .catch((error) => {
+                throw new PrinterNotFoundError("Cannot list the printers to find a Dymo LabelWriter.", error);
+            })
+            .then((found) => {
+                if (!found) {
+                    throw new PrinterNotFoundError("Cannot find Dymo LabelWriter. Try to configure manually.");
+                }
+                // Found a Dymo label writer.
+                if (!this.config.model && !this.model) {
+                    this.model = findPrinterModel(found.makeAndModel || found.name);
+                }
+                if (found.device) {
+                    this.config.interface = PRINTER_INTERFACE_DEVICE;
+                    this.config.device = found.device;
+                } else {
+                    this.config.interface = IS_WINDOWS ? PRINTER_INTERFACE_WINDOWS : PRINTER_INTERFACE_CUPS;
+                    this.config.deviceId = found.deviceId;
+                }
+            });
+    }
+
+    /**
+     * @private
+     *
+     * Determine the printer model once: the configured model, or else the model matching the printer name.
+     * The name is found by detecting the printer, or by looking up the configured CUPS, Windows or USB printer.
+     *
+     * @return {Promise<import("./printer-models.js").PrinterModel>} Resolves with the model profile
+     */
+    resolveModel() {
+        if (this.model) {
+            return Promise.resolve(this.model);
+        }
+        if (this.config.model) {
+            this.model = findPrinterModel(this.config.model);
+            return Promise.resolve(this.model);
+        }
+        const printerInterface = this.config.interface;
+        /** @type {Promise<string[]|undefined>} */
+        let names = Promise.resolve(undefined);
+        if (!printerInterface) {
+            // A printer that cannot be detected fails when the job is sent, not while it is encoded.
+            return this.detectPrinter()
+                .catch(() => undefined)
+                .then(() => this.model || findPrinterModel());
+        }
+        if (printerInterface === PRINTER_INTERFACE_CUPS || printerInterface === PRINTER_INTERFACE_WINDOWS) {
+            names = this.listPrinters().then((printers) =>
+                printers
+                    .filter((printer) => printer.deviceId === this.config.deviceId)
+                    .map((printer) => printer.makeAndModel || printer.name)
+            );
+        } else if (printerInterface === PRINTER_INTERFACE_DEVICE) {
+            names = listUsbPrinters().then((printers) =>
+                printers.filter((printer) => printer.device === this.config.device).map((printer) => printer.name)
+            );
+        }
+        return names
+            .catch(() => undefined)
+            .then((names) => {
+                this.model = findPrinterModel(names && names[0]);
+                return this.model;
+            });
+    }
+
+    /**
+     * @private
+     * Clear the print buffer.
+     */
+    clear() {
+        this.chunks.length = 0;
+    }
+
+    /**
+     * @private
+     * Append given buffer to the print buffer.
+     *
+     * @param {Buffer} buff Buffer to add
+     */
+    append(buff) {
+        if (!Buffer.isBuffer(buff)) {
+            throw Error("append() called with type other than Buffer: " + typeof buff);
+        }
+        this.chunks.push(buff);
+    }
+
+    /**
+     * @private
+     *
+     * Validate the configuration.
+     * Throw error in case of configuration error.
+     *
+     * @param {PrinterConfig} config Config object
+     */
+    static validateConfig(config) {
+        const INTERFACES = [
+            PRINTER_INTERFACE_NETWORK,
+            PRINTER_INTERFACE_CUPS,
+            PRINTER_INTERFACE_WINDOWS,
+            PRINTER_INTERFACE_DEVICE,
+            PRINTER_INTERFACE_IPP,
+            PRINTER_INTERFACE_FILE,
+            PRINTER_INTERFACE_MEMORY,
+        ];
+        if (config.interface && INTERFACES.indexOf(config.interface) === -1) {
+            throw new ConfigError(
+                `Invalid interface "${config.interface}", valid interfaces are: ${INTERFACES.join(", ")}`
+            );
+        }
+        if (config.interface === PRINTER_INTERFACE_IPP && !config.uri && !config.host) {
+            throw new ConfigError("The IPP interface needs the printer uri or host");
+        }
+        if (config.interface === PRINTER_INTERFACE_FILE && !config.file) {
+            throw new ConfigError("The FILE interface needs the file to write to");
+        }
+        if (config.uri && !/^(ipps?|https?):\/\/[^/]/i.test(config.uri)) {
+            throw new ConfigError(`Invalid printer uri "${config.uri}", the scheme should be ipp, ipps, http or https`);
+        }
+        const COMPRESSIONS = [COMPRESSION_AUTO, COMPRESSION_COMPRESSED, COMPRESSION_UNCOMPRESSED];
+        if (config.compression && COMPRESSIONS.indexOf(config.compression) === -1) {
+            throw new ConfigError(
+                `Invalid compression "${config.compression}", valid compressions are: ${COMPRESSIONS.join(", ")}`
+            );
+        }
+        ["connectTimeout", "idleTimeout"].forEach((name) => {
+            if (config[name] !== undefined && (!Number.isInteger(config[name]) || config[name] <= 0)) {
+                throw new ConfigError(`${name} should be a positive integer: "${config[name]}"`);
+            }
+        });
+        const printHeadBytes = config.model ? findPrinterModel(config.model).printHeadBytes : MAX_PRINT_HEAD_BYTES;
+        DymoServices.validatePrintSettings(config, printHeadBytes);
+    }
+
+    /**
+     * @private
+     *
+     * Validate the print settings (density, quality mode, dot tab, roll and tape width), missing settings are skipped.
+     * Throw error in case of an invalid setting.
+     *
+     * @param {{density?:string,qualityMode?:string,dotTab?:number,roll?:string,tapeWidth?:number}} settings Settings
+     * @param {number} printHeadBytes Width of the print head in bytes
      */
-    constructor(config = undefined) {
-        if (config) {
-            Object.assign(this.config, config);
-            DymoServices.validateConfig(this.config);
+    static validatePrintSettings(settings, printHeadBytes) {
+        const DENSITIES = Object.keys(CMD_DENSITIES);
+        if (settings.density && DENSITIES.indexOf(settings.density) === -1) {
+            throw new ConfigError(
+                `Invalid density "${settings.density}", valid densities are: ${DENSITIES.join(", ")}`
+            );
+        }
+        const QUALITY_MODES = Object.keys(CMD_QUALITY_MODES);
+        if (settings.qualityMode && QUALITY_MODES.indexOf(settings.qualityMode) === -1) {
+            throw new ConfigError(
+                `Invalid quality mode "${settings.qualityMode}", valid quality modes are: ${QUALITY_MODES.join(", ")}`
+            );
+        }
+        if (
+            settings.dotTab !== undefined &&
+            (!Number.isInteger(settings.dotTab) || settings.dotTab < 0 || settings.dotTab >= printHeadBytes)
+        ) {
+            throw new ConfigError(`Dot tab should be an integer from 0 to ${printHeadBytes - 1}: "${settings.dotTab}"`);
+        }
+        const TAPE_WIDTH_KEYS = Object.keys(TAPE_WIDTHS);
+        if (settings.tapeWidth !== undefined && TAPE_WIDTH_KEYS.indexOf(`${settings.tapeWidth}`) === -1) {
+            throw new ConfigError(
+                `Invalid tape width "${settings.tapeWidth}", valid tape widths are: ${TAPE_WIDTH_KEYS.join(", ")}`
+            );
+        }
+        const ROLLS = Object.keys(CMD_SELECT_ROLL);
+        if (settings.roll && ROLLS.indexOf(settings.roll) === -1) {
+            throw new ConfigError(`Invalid roll "${settings.roll}", valid rolls are: ${ROLLS.join(", ")}`);
         }
     }
 
     /**
-     * Print the image.
-     * The size of the image should match the size of the label.
+     * @private
      *
-     * @param {Jimp} image image object in landscape orientation
-     * @param {number} [printCount] Number of prints (defaults to 1)
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * Get the number of dots printed across the tape.
+     * Throw error if the LabelManager does not support the tape width.
+     *
+     * @param {import("./printer-models.js").PrinterModel} model LabelManager model
+     * @param {number} [tapeWidth] Tape width in mm, defaults to 12
+     * @return {number} Dots across the tape, a multiple of 8
      */
-    print(image, printCount = 1) {
-        return new Promise((resolve, reject) => {
-            convertImageToBitmap(image)
-                .then((bitmapImageBuffer) => {
-                    this.printBitmap(bitmapImageBuffer, printCount).then(resolve).catch(reject);
-                })
-                .catch(reject);
-        });
+    static tapeDots(model, tapeWidth = DEFAULT_TAPE_WIDTH) {
+        if (model.tapeWidths.indexOf(tapeWidth) === -1) {
+            throw new ConfigError(
+                `Invalid tape width "${tapeWidth}", the ${model.title} supports: ${model.tapeWidths.join(", ")} mm`
+            );
+        }
+        return Math.min(TAPE_WIDTHS[tapeWidth], model.printHeadDots);
     }
 
     /**
-     * List all available system printers.
+     * @private
+     *
+     * Check that the raster lines, shifted by the dot tab, fit on the print head.
+     * Throw error if they do not.
      *
-     * @return {Promise<{deviceId:string,name:string}[]>} List of printers or empty list
+     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
+     * @param {number} dotTab Dot tab in bytes
+     * @param {import("./printer-models.js").PrinterModel} model LabelWriter model
      */
-    listPrinters() {
-        if (IS_WINDOWS) {
-            return DymoServices.listPrintersWindows();
-        }
-        if (IS_MACOS || IS_LINUX) {
-            return DymoServices.listPrintersMacLinux();
+    static validateLineWidth(imageBuffer, dotTab, model) {
+        if (dotTab + imageBuffer[0].length > model.printHeadBytes) {
+            throw new ImageError(
+                `Dot tab ${dotTab} and line width of ${imageBuffer[0].length} bytes exceed ` +
+                    `the print head width of ${model.printHeadBytes} bytes`
+            );
         }
-        return Promise.reject("Cannot list printers, unsupported operating system: " + process.platform);
     }
 
     /**
      * @private
      *
-     * Print the bitmap image buffer.
-     * The size of the image should match the size of the label.
+     * Get the label of a batch entry: an image, or a BatchLabel with the image, copies and options.
+     * Throw error if the entry is neither.
      *
-     * @param {number[][]} imageBuffer Bitmap image array, lines and rows in portrait orientation
-     * @param {number} [printCount] Number of prints
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * @param {Jimp|BatchLabel} entry Batch entry
+     * @param {number} index Index of the entry in the batch
+     * @return {{image:Jimp,copies:number,options:PrintOptions}} Label
      */
-    printBitmap(imageBuffer, printCount = 1) {
-        if (!imageBuffer || imageBuffer.length === 0) {
-            throw Error("Empty imageBuffer, cannot print");
+    static toBatchLabel(entry, index) {
+        if (entry && entry.bitmap) {
+            return { image: /** @type {Jimp} */ (entry), copies: 1, options: {} };
         }
-        if (printCount <= 0) {
-            throw Error(`PrintCount cannot be 0 or a negative number: ${printCount}`);
+        if (!entry || !entry.image || !entry.image.bitmap) {
+            throw new ConfigError(`printBatch(): label ${index} should be an image or an object with an image`);
+        }
+        const copies = entry.copies === undefined ? 1 : entry.copies;
+        if (!Number.isInteger(copies) || copies <= 0) {
+            throw new ConfigError(`printBatch(): copies of label ${index} should be a positive integer: "${copies}"`);
         }
+        return { image: entry.image, copies, options: entry.options || {} };
+    }
 
-        // Determine the label dimensions based on the bitmap image buffer.
-        const labelLineWidth = imageBuffer[0].length * 8;
-        const labelLength = imageBuffer.length;
-        this.init(labelLineWidth, labelLength);
+    /**
+     * @private
+     *
+     * Run-length encode one raster line for the <etb> command.
+     * Every byte describes a run of dots: bit 7 is the color (1 = black) and bits 0-6 are the run length minus 1,
+     * so a single byte covers 1 to 128 dots.
+     *
+     * @param {number[]} line Raster line, 8 dots per byte, leftmost dot in the most significant bit
+     * @return {number[]} Compressed raster line
+     */
+    static compressLine(line) {
+        const compressed = [];
+        const dots = line.length * 8;
+        let color = -1;
+        let runLength = 0;
 
-        for (let count = 1; count <= printCount; count++) {
-            // Convert bitmap array to printer bitmap.
-            for (let i = 0; i < imageBuffer.length; i++) {
-                this.append(Buffer.from([0x16, ...imageBuffer[i]]));
+        for (let i = 0; i < dots; i++) {
+            const dot = (line[i >> 3] >> (7 - (i & 7))) & 1;
+            if (dot === color && runLength < 128) {
+                runLength++;
+                continue;
             }
-            if (count === printCount) {
-                // End print job.
-                this.append(CMD_FULL_FORM_FEED);
-            } else {
-                this.append(CMD_SHORT_FORM_FEED);
+            if (runLength > 0) {
+                compressed.push((color << 7) | (runLength - 1));
             }
+            color = dot;
+            runLength = 1;
+        }
+        if (runLength > 0) {
+            compressed.push((color << 7) | (runLength - 1));
         }
 
-        return this.sendDataToPrinter();
+        return compressed;
     }
 
     /**
      * @private
      *
-     * Initialize the buffer and the printer configuration.
+     * Create the commands to feed the given number of blank lines.
+     * <esc> f 1 n Skip n Lines, where n is at most 255.
      *
-     * @param {number} labelLineWidth The width the print head has to print, number of dots (300 dots per inch)
-     * @param {number} labelLength Number of lines to print (300 lines per inch)
+     * @param {number} count Number of blank lines
+     * @return {Buffer[]} Skip commands
      */
-    init(labelLineWidth, labelLength) {
-        this.clear();
-
-        // To reset the printer after a synchronization error or to recover from an unknown state, the host computer
-        // needs to send at least 85 continuous <esc> characters to the printer.
-        this.append(CMD_START_ESC);
-        this.append(CMD_RESET);
-
-        // <esc> B n Set Dot Tab
-        // This command shifts the starting dot position on the print head towards the right
-        this.append(CMD_NO_DOT_TAB);
+    static skipLines(count) {
+        const commands = [];
+        for (let remaining = count; remaining > 0; remaining -= 255) {
+            commands.push(Buffer.from([0x1b, "f".charCodeAt(0), 1, Math.min(remaining, 255)]));
+        }
+        return commands;
+    }
 
-        // <esc> D n Set Bytes per Line
-        // This command reduces the number of bytes sent for each line.
-        // E.g. 332 pixels (will be 336 dots, 42 * 8).
-        const labelLineWidthBytes = Math.ceil(labelLineWidth / 8);
-        this.append(Buffer.from([0x1b, "D".charCodeAt(0), labelLineWidthBytes]));
+    /**
+     * @private
+     *
+     * Request the status byte from a network printer.
+     *
+     * @param {string} host Hostname or IP address (defaults to localhost)
+     * @param {number} port Port number (defaults to 9100)
+     * @return {Promise<number>} Resolves with the status byte, rejects otherwise
+     */
+    static requestNetworkPrinterStatus(host = "localhost", port = 9100) {
+        return new Promise((resolve, reject) => {
+            const networkPrinter = net.connect({ host, port, timeout: 5000 }, function () {
+                networkPrinter.write(CMD_REQUEST_STATUS);
+            });
 
-        // At power up, the label length variable is set to a default value of 3058 (in 300ths of an inch units),
-        // which corresponds to approximately 10.2 inches. The Set Label Length command sequence (<esc> L nl n2)
-        // allows the host software to change the label length variable to accommodate longer lengths.
+            networkPrinter.once("data", (data) => {
+                networkPrinter.end();
+                resolve(data[0]);
+            });
 
-        // <esc> L nl n2 Set Label Length
-        // This command indicates the maximum distance the printer should travel while searching for the
-        // top-of-form hole or mark.
-        // E.g. 1052 pixels
-        const lsb = labelLength & 0xff;
-        const msb = (labelLength >> 8) & 0xff;
-        this.append(Buffer.from([0x1b, "L".charCodeAt(0), msb, lsb]));
+            networkPrinter.on("error", (err) => {
+                networkPrinter.end();
+                reject(err);
+            });
 
-        // <esc> h Text Speed Mode (300x300 dpi)
-        // This command instructs the printer to print in 300 x 300 dpi Text Quality mode.
-        // This is the default, high speed printing mode.
-        this.append(CMD_TEXT_SPEED_MODE);
+            networkPrinter.on("timeout", () => {
+                networkPrinter.destroy();
+                reject(new TimeoutError("Timeout requesting printer status.", 5000));
+            });
 
-        // <esc> e Set Print Density Normal
-        // This command sets the strobe time of the printer to 100% of its standard duty cycle.
-        this.append(CMD_DENSITY_NORMAL);
+            // The printer closed the connection without a status byte, after one the promise is settled already.
+            networkPrinter.on("close", () => {
+                reject(new TransportError("The printer closed the connection without sending its status.", { host }));
+            });
+        });
     }
 
     /**
      * @private
      *
-     * Send the data to the printer.
+     * Request the status byte from a USB (device) printer.
      *
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * @param {string} device Device location /dev/usb/lp0
+     * @return {Promise<number>} Resolves with the status byte, rejects otherwise
      */
-    sendDataToPrinter() {
+    static requestDevicePrinterStatus(device) {
         return new Promise((resolve, reject) => {
-            const buffer = Buffer.concat(this.chunks);
-            const printerInterface = this.config.interface;
-
-            if (!printerInterface) {
-                // Try to guess what printer to use.
-                this.listPrinters()
-                    .then((printers) => {
-                        // Use the first match for "LabelWriter 450".
-                        const printer = printers.find((printer) => {
-                            return printer.name && printer.name.toLowerCase().indexOf("dymo") !== -1;
-                        });
-                        if (!printer) {
-                            reject("Cannot find Dymo LabelWriter. Try to configure manually.");
-                            return;
-                        }
-                        // Found a Dymo label writer.
-                        this.config.interface = IS_WINDOWS ? PRINTER_INTERFACE_WINDOWS : PRINTER_INTERFACE_CUPS;
-                        this.config.deviceId = printer.deviceId;
-                        this.sendDataToPrinter().then(resolve).catch(reject);
-                    })
-                    .catch(reject);
-                return;
-            }
-
-            if (printerInterface === PRINTER_INTERFACE_NETWORK) {
-                DymoServices.sendDataToNetworkPrinter(buffer, this.config.host, this.config.port)
-                    .then(resolve)
-                    .catch(reject);
-                return;
-            }
-            if (printerInterface === PRINTER_INTERFACE_CUPS) {
-                DymoServices.sendDataToCupsPrinter(buffer, /** @type {string} */ (this.config.deviceId)).then(resolve).catch(reject);
-                return;
-            }
-            if (printerInterface === PRINTER_INTERFACE_WINDOWS) {
-                DymoServices.sendDataToWindowsPrinter(buffer, /** @type {string} */ (this.config.deviceId)).then(resolve).catch(reject);
-                return;
-            }
-            if (printerInterface === PRINTER_INTERFACE_DEVICE) {
-                DymoServices.sendDataToDevicePrinter(buffer, /** @type {string} */ (this.config.device)).then(resolve).catch(reject);
-                return;
+            if (!device) {
+                throw new ConfigError("Cannot request status, the device name is empty");
             }
-            throw Error(`Unknown printer interface configured: "${printerInterface}"`);
+            fs.open(device, "r+", (err, fd) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                fs.write(fd, CMD_REQUEST_STATUS, (err) => {
+                    if (err) {
+                        fs.close(fd, () => reject(err));
+                        return;
+                    }
+                    const status = Buffer.alloc(1);
+                    fs.read(fd, status, 0, 1, null, (err, bytesRead) => {
+                        fs.close(fd, () => {
+                            if (err) {
+                                reject(err);
+                                return;
+                            }
+                            if (bytesRead !== 1) {
+                                reject(
+                                    new TransportError("No status received from printer.", {
+                                        interface: PRINTER_INTERFACE_DEVICE,
+                                        device,
+                                    })
+                                );
+                                return;
+                            }
+                            resolve(status[0]);
+                        });
+                    });
+                });
+            });
         });
     }
 
     /**
      * @private
-     * Clear the print buffer.
+     *
+     * Get the printer URI of an IPP printer, the configured uri or else the IPP Everywhere path on the host.
+     *
+     * @param {PrinterConfig} config Config object
+     * @return {string} Printer URI
      */
-    clear() {
-        this.chunks.length = 0;
+    static ippUri(config) {
+        if (config.uri) {
+            return config.uri;
+        }
+        return `ipp://${config.host}${config.port ? `:${config.port}` : ""}/ipp/print`;
     }
 
     /**
      * @private
-     * Append given buffer to the print buffer.
      *
-     * @param {Buffer} buff Buffer to add
+     * Convert the IPP printer attributes to the printer status.
+     * The printer-state-reasons may have a severity suffix, e.g. media-empty-error.
+     *
+     * @param {Object<string, any>} attributes Printer attributes from Get-Printer-Attributes
+     * @return {PrinterStatus} Printer status
      */
-    append(buff) {
-        if (!Buffer.isBuffer(buff)) {
-            throw Error("append() called with type other than Buffer: " + typeof buff);
-        }
-        this.chunks.push(buff);
+    static parseIppStatus(attributes) {
+        const state = attributes["printer-state"];
+        const stateReasons = []
+            .concat(attributes["printer-state-reasons"] || [])
+            .filter((reason) => !!reason && reason !== "none");
+        const hasReason = (reasons) =>
+            stateReasons.some((reason) => reasons.indexOf(reason.replace(/-(report|warning|error)$/, "")) !== -1);
+        const paperOut = hasReason(IPP_PAPER_OUT_REASONS);
+        const error = hasReason(IPP_ERROR_REASONS);
+        return {
+            ready: state !== "stopped" && attributes["printer-is-accepting-jobs"] !== false && !paperOut && !error,
+            paperOut,
+            topOfForm: false,
+            busy: state === "processing",
+            error,
+            state,
+            stateReasons,
+        };
     }
 
     /**
      * @private
      *
-     * Validate the configuration.
-     * Throw error in case of configuration error.
+     * Parse the status byte returned by <esc> A.
      *
-     * @param {PrinterConfig} config Config object
+     * @param {number} statusByte Status byte
+     * @return {PrinterStatus} Parsed status
      */
-    static validateConfig(config) {
-        const INTERFACES = [
-            PRINTER_INTERFACE_NETWORK,
-            PRINTER_INTERFACE_CUPS,
-            PRINTER_INTERFACE_WINDOWS,
-            PRINTER_INTERFACE_DEVICE,
-        ];
-        if (config.interface && INTERFACES.indexOf(config.interface) === -1) {
-            throw Error(`Invalid interface "${config.interface}", valid interfaces are: ${INTERFACES.join(", ")}`);
-        }
+    static parseStatus(statusByte) {
+        const paperOut = (statusByte & STATUS_PAPER_OUT) !== 0;
+        const error = (statusByte & STATUS_ERROR) !== 0;
+        const busy = (statusByte & STATUS_BUSY) !== 0;
+        return {
+            ready: (statusByte & STATUS_READY) !== 0 && !paperOut && !error,
+            paperOut,
+            topOfForm: (statusByte & STATUS_TOP_OF_FORM) !== 0,
+            busy,
+            error,
+            statusByte,
+        };
     }
 
     /**
      * @private
      *
-     * Send data to network printer.
+     * Read the printer data into a new buffer, a buffer is copied.
      *
-     * @param {Buffer} buffer Printer data buffer
-     * @param {string} host Hostname or IP address (defaults to localhost)
-     * @param {number} port Port number (defaults to 9100)
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * @param {Buffer|Readable} data Printer data buffer or stream
+     * @return {Promise<Buffer>} Resolves with the data, rejects if the stream fails
      */
-    static sendDataToNetworkPrinter(buffer, host = "localhost", port = 9100) {
+    static readData(data) {
         return new Promise((resolve, reject) => {
-            const networkPrinter = net.connect({ host, port, timeout: 30000 }, function () {
-                networkPrinter.write(buffer, "binary", () => {
-                    networkPrinter.end();
-                    resolve();
-                });
-            });
-
-            networkPrinter.on("error", (err) => {
-                networkPrinter.end();
-                reject(err);
-            });
-
-            networkPrinter.on("timeout", () => {
-                networkPrinter.end();
-                reject("Timeout connecting to printer.");
-            });
+            if (Buffer.isBuffer(data)) {
+                resolve(Buffer.from(data));
+                return;
+            }
+            const chunks = [];
+            data.on("data", (chunk) => chunks.push(chunk));
+            data.on("error", reject);
+            data.on("end", () => resolve(Buffer.concat(chunks)));
         });
     }
 
     /**
      * @private
      *
-     * Send data to USB (device) printer.
+     * Send data to CUPS printer.
      *
-     * @param {Buffer} buffer Printer data buffer
-     * @param {string} device Device location /dev/usb/lp0
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * @param {Buffer|Readable} buffer Printer data buffer or stream
+     * @param {string} deviceId CUPS device id
+     * @param {PrintOptions} [options] Print options, title, priority, hold and cupsOptions are used
+     * @return {Promise<JobStatus>} Resolves with the queued job, with an undefined job id when lp did not report it.
+     *                              Rejects otherwise, also when the job id is missing and waitForCompletion is set
      */
-    static sendDataToDevicePrinter(buffer, device) {
+    static sendDataToCupsPrinter(buffer, deviceId, options = {}) {
         return new Promise((resolve, reject) => {
-            if (!device) {
-                throw Error("Cannot write to device, the device name is empty");
+            if (!deviceId) {
+                throw new ConfigError("Cannot print to CUPS printer, deviceId is not configured.");
             }
-            fs.writeFile(device, buffer, { encoding: "binary" }, (err) => {
-                if (err) {
-                    reject(err);
+            const args = ["-d", `${deviceId}`];
+            if (options.title) {
+                args.push("-t", `${options.title}`);
+            }
+            if (options.priority !== undefined) {
+                if (!Number.isInteger(options.priority) || options.priority < 1 || options.priority > 100) {
+                    throw new ConfigError(`Priority should be an integer from 1 to 100: "${options.priority}"`);
+                }
+                args.push("-q", `${options.priority}`);
+            }
+            if (options.hold) {
+                args.push("-H", `${options.hold}`);
+            }
+            Object.keys(options.cupsOptions || {}).forEach((name) => {
+                const value = options.cupsOptions[name];
+                if (value === false || value === undefined) {
                     return;
                 }
-                resolve();
+                args.push("-o", value === true ? name : `${name}=${value}`);
             });
+            execute("lp", args, buffer, CUPS_COMMAND_ENV)
+                .then((stdout) => {
+                    // E.g. "request id is LabelWriter-450-42 (1 file(s))".
+                    const match = /request id is (\S+)/i.exec(stdout);
+                    if (!match && options.waitForCompletion) {
+                        const error = new TransportError(`lp did not report the job id: ${stdout.trim()}`, {
+                            interface: PRINTER_INTERFACE_CUPS,
+                            device: deviceId,
+                            command: "lp",
+                        });
+                        // The job is queued, it must not be sent again.
+                        error.jobSent = true;
+                        throw error;
+                    }
+                    resolve({
+                        jobId: match ? match[1] : undefined,
+                        jobState: options.hold && options.hold !== "immediate" ? "pending-held" : "pending",
+                        jobStateReasons: [],
+                    });
+                })
+                .catch(reject);
         });
     }
 
     /**
      * @private
      *
-     * Send data to CUPS printer.
+     * Request the status of a CUPS job. The not completed jobs are searched first, then the completed jobs, the
+     * "Alerts:" of the long listing are the job state reasons.
      *
-     * @param {Buffer} buffer Printer data buffer
-     * @param {string} deviceId CUPS device id
-     * @return {Promise<void>} Resolves in case of success, rejects otherwise
+     * @param {string} jobId CUPS request id, e.g. LabelWriter-450-42
+     * @return {Promise<JobStatus>} Resolves with the job status, rejects if the job is not found
      */
-    static sendDataToCupsPrinter(buffer, deviceId) {
+    static requestCupsJobStatus(jobId) {
         return new Promise((resolve, reject) => {
-            if (!deviceId) {
-                throw Error("Cannot print to CUPS printer, deviceId is not configured.");
+            const match = /^(.+)-\d+$/.exec(jobId);
+            if (!match) {
+                throw new ConfigError(`Invalid CUPS job id "${jobId}", expected <printer>-<number>`);
             }
-            execute("lp", ["-d", `${deviceId}`], buffer)
-                .then(() => resolve())
+            const listJobs = (which) =>
+                execute("lpstat", ["-l", "-W", which, "-o", match[1]], undefined, CUPS_COMMAND_ENV).then((stdout) =>
+                    DymoServices.findCupsJobReasons(stdout, jobId)
+                );
+            listJobs("not-completed")
+                .then((reasons) => {
+                    if (reasons) {
+                        let jobState = "pending";
+                        if (reasons.indexOf("job-printing") !== -1) {
+                            jobState = "processing";
+                        } else if (reasons.indexOf("job-hold-until-specified") !== -1) {
+                            jobState = "pending-held";
+                        }
+                        return { jobId, jobState, jobStateReasons: reasons };
+                    }
+                    return listJobs("completed").then((reasons) => {
+                        if (!reasons) {
+                            throw new DymoError(`Cannot find CUPS job "${jobId}".`, "JOB_NOT_FOUND");
+                        }
+                        let jobState = "completed";
+                        if (reasons.some((reason) => /^job-canceled-/.test(reason))) {
+                            jobState = "canceled";
+                        } else if (reasons.some((reason) => /aborted-by-system$/.test(reason))) {
+                            jobState = "aborted";
+                        }
+                        return { jobId, jobState, jobStateReasons: reasons };
+                    });
+                })
+                .then(resolve)
                 .catch(reject);
         });
     }
 
+    /**
+     * @private
+     *
+     * Find the job in "lpstat -l -o" output, e.g.
+     * LabelWriter-450-42     user     1024   Mon 19 Oct 2026 10:00:00
+     *         Status:
+     *         Alerts: job-printing
+     *
+     * @param {string} stdout lpstat output
+     * @param {string} jobId CUPS request id
+     * @return {string[]|undefined} Job state reasons, undefined if the job is not listed
+     */
+    static findCupsJobReasons(stdout, jobId) {
+        const lines = stdout.split(/\r?\n/);
+        const start = lines.findIndex((line) => line.split(/\s+/)[0] === jobId);
+        if (start === -1) {
+            return undefined;
+        }
+        const reasons = [];
+        for (let i = start + 1; i < lines.length && /^\s/.test(lines[i]); i++) {
+            const alerts = /^\s*Alerts:(.*)$/i.exec(lines[i]);
+            if (alerts) {
+                reasons.push(...alerts[1].trim().split(/\s+/).filter((reason) => !!reason && reason !== "none"));
+            }
+        }
+        return reasons;
+    }
+
     /**
      * @private
      *
      * Send data to Windows RAW printer.
+     * RawPrint reads the job from a temporary file.
      *
-     * @param {Buffer} buffer Printer data buffer
+     * @param {Buffer|Readable} buffer Printer data buffer or stream
      * @param {string} deviceId Windows printer device id
      * @return {Promise<void>} Resolves in case of success, rejects otherwise
      */
@@ -401,8 +1795,8 @@ export class DymoServices {
         // https://github.com/frogmorecs/RawPrint
         return new Promise((resolve, reject) => {
             const tmp = DymoServices.tmpFile();
-            fs.writeFileSync(tmp, buffer, { encoding: "binary" });
-            execute(path.join(__dirname, "RP.exe"), [deviceId, tmp], buffer)
+            sendToTransport(buffer, createFileTransport(tmp))
+                .then(() => execute(path.join(__dirname, "RP.exe"), [deviceId, tmp]))
                 .then(() => {
                     fs.unlinkSync(tmp);
                     resolve();
@@ -414,62 +1808,119 @@ export class DymoServices {
     /**
      * @private
      *
-     * Get list of installed printers.
+     * Find the first DYMO USB printer that can be written to.
+     *
+     * @return {Promise<import("./usb-services.js").UsbPrinter|undefined>} Printer, or undefined if none is found
+     */
+    static findUsbPrinter() {
+        return listUsbPrinters().then((printers) =>
+            printers.find((printer) => {
+                try {
+                    fs.accessSync(printer.device, fs.constants.W_OK);
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            })
+        );
+    }
+
+    /**
+     * @private
+     *
+     * Get list of installed printers, from one lpstat call that lists the printers, whether they accept jobs and
+     * their device URIs.
      *
-     * @return {Promise<{deviceId:string,name:string}[]>} List of printers or empty list
+     * @return {Promise<SystemPrinter[]>} List of printers or empty list
      */
     static listPrintersMacLinux() {
         return new Promise((resolve, reject) => {
-            execute("lpstat", ["-e"])
-                .then((stdout) => {
-                    const printers = stdout
-                        .split("\n")
-                        .filter((row) => !!row.trim())
-                        .map((row) => {
-                            return {
-                                deviceId: row.trim(),
-                                name: row.replace(/_+/g, " ").trim(),
-                            };
-                        });
-
-                    // Try to find the name ("Description:") of every printer found.
-                    /** @type {Promise[]} */
-                    const promises = [];
-                    printers.forEach((printer) => {
-                        promises.push(execute("lpstat", ["-l", "-p", printer.deviceId]));
-                    });
-
-                    // Update the name for every printer description found.
-                    Promise.allSettled(promises).then((results) => {
-                        results.forEach((result, idx) => {
-                            if (result.status === "fulfilled" && result.value) {
-                                const description = result.value
-                                    .split("\n")
-                                    .filter((line) => /^description:/gi.test(line.trim()))
-                                    .map((line) => line.replace(/description:/gi, "").trim())
-                                    .find((line) => !!line);
-                                if (description) {
-                                    printers[idx].name = description;
-                                }
-                            }
-                        });
-                        resolve(printers);
-                    });
-                })
+            execute("lpstat", ["-l", "-p", "-a", "-v"], undefined, CUPS_COMMAND_ENV)
+                .then((stdout) => resolve(DymoServices.parseLpstat(stdout)))
                 .catch(reject);
         });
     }
 
+    /**
+     * @private
+     *
+     * Parse "lpstat -l -p -a -v" output, e.g.
+     * printer DYMO_LabelWriter_450 disabled since Mon 19 Oct 2026 10:00:00 AM CEST -
+     *         Paused
+     *         Description: DYMO LabelWriter 450
+     *         Alerts: paused
+     *         Interface: /etc/cups/ppd/DYMO_LabelWriter_450.ppd
+     * DYMO_LabelWriter_450 accepting requests since Mon 19 Oct 2026 10:00:00 AM CEST
+     * device for DYMO_LabelWriter_450: usb://DYMO/LabelWriter%20450?serial=01010112345600
+     *
+     * @param {string} stdout lpstat output
+     * @return {SystemPrinter[]} List of printers or empty list
+     */
+    static parseLpstat(stdout) {
+        /** @type {SystemPrinter[]} */
+        const printers = [];
+        const findPrinter = (deviceId) => printers.find((printer) => printer.deviceId === deviceId);
+        /** @type {SystemPrinter|undefined} */
+        let current;
+        stdout.split("\n").forEach((line) => {
+            const printerMatch = line.match(/^printer (\S+) (is idle|now printing|disabled)/);
+            if (printerMatch) {
+                const state = LPSTAT_PRINTER_STATES[printerMatch[2]];
+                current = {
+                    deviceId: printerMatch[1],
+                    name: printerMatch[1].replace(/_+/g, " ").trim(),
+                    state,
+                    enabled: state !== "stopped",
+                    stateReasons: [],
+                    // Queues with a driver list its PPD file as interface.
+                    raw: true,
+                };
+                printers.push(current);
+                return;
+            }
+            if (current && /^\s/.test(line)) {
+                const [label, ...value] = line.trim().split(":");
+                const text = value.join(":").trim();
+                if (label.toLowerCase() === "description" && text) {
+                    current.name = text;
+                } else if (label.toLowerCase() === "alerts") {
+                    current.stateReasons = text.split(/\s+/).filter((reason) => !!reason && reason !== "none");
+                } else if (label.toLowerCase() === "interface") {
+                    current.raw = false;
+                }
+                return;
+            }
+            current = undefined;
+            const acceptingMatch = line.match(/^(\S+) (not )?accepting requests/);
+            const deviceMatch = line.match(/^device for ([^:\s]+): (\S+)/);
+            if (acceptingMatch && findPrinter(acceptingMatch[1])) {
+                findPrinter(acceptingMatch[1]).accepting = !acceptingMatch[2];
+            } else if (deviceMatch && findPrinter(deviceMatch[1])) {
+                const printer = findPrinter(deviceMatch[1]);
+                printer.uri = deviceMatch[2];
+                // USB device URIs name the make and model, e.g. usb://DYMO/LabelWriter%20450?serial=...
+                const usbMatch = printer.uri.match(/^usb:\/\/([^/?]+)\/([^/?]+)/);
+                if (usbMatch) {
+                    printer.makeAndModel = decodeURIComponent(`${usbMatch[1]} ${usbMatch[2]}`);
+                }
+            }
+        });
+        return printers;
+    }
+
     /**
      * @private
      *
      * Get list of installed printers.
      *
-     * @return {Promise<{deviceId:string,name:string}[]>} List of printers or empty list
+     * @return {Promise<SystemPrinter[]>} List of printers or empty list
      */
     static listPrintersWindows() {
         return new Promise((resolve, reject) => {
-            execute("Powershell.exe", ["-Command", "Get-CimInstance Win32_Printer -Property DeviceID,Name"])
+            execute("Powershell.exe", [
+                "-Command",
+                `Get-CimInstance Win32_Printer | Format-List -Property ${WINDOWS_PRINTER_PROPERTIES.join(",")}`,
+            ])
                 .then((stdout) => {
                     resolve(DymoServices.stdoutHandler(stdout));
                 })
@@ -480,10 +1931,10 @@ export class DymoServices {
     /**
      * @private
      *
-     * Parse "Get-CimInstance Win32_Printer" output.
+     * Parse "Get-CimInstance Win32_Printer | Format-List" output.
      *
      * @param stdout Process output
-     * @return {{deviceId:string,name:string}[]} List of printers or empty list
+     * @return {SystemPrinter[]} List of printers or empty list
      */
     static stdoutHandler(stdout) {
         const printers = [];
@@ -508,24 +1959,31 @@ export class DymoServices {
      * Return only the printers with deviceid and name.
      *
      * @param printer
-     * @return {{isValid: boolean, printerData: {name: string, deviceId: string}}}
+     * @return {{isValid: boolean, printerData: SystemPrinter}}
      */
     static isValidPrinter(printer) {
+        /** @type {Object<string, string>} */
+        const properties = {};
+        printer.split(/\r?\n/).forEach((line) => {
+            // Values like port names can contain a colon.
+            const [label, ...value] = line.split(":");
+            properties[label.trim().toLowerCase()] = value.join(":").trim();
+        });
+
+        const state = WINDOWS_PRINTER_STATUS[properties.printerstatus];
+        /** @type {SystemPrinter} */
         const printerData = {
-            deviceId: "",
-            name: "",
+            deviceId: properties.deviceid || "",
+            name: properties.name || "",
+            makeAndModel: properties.drivername || undefined,
+            port: properties.portname || undefined,
+            state,
+            enabled: state === undefined ? undefined : state !== "stopped" && state !== "offline",
+            stateReasons: state === "stopped" || state === "offline" ? [state] : [],
         };
 
-        const isValid = printer.split(/\r?\n/).some((line) => {
-            const [label, value] = line.split(":").map((el) => el.trim());
-            const lowerLabel = label.toLowerCase();
-            if (lowerLabel === "deviceid") printerData.deviceId = value;
-            if (lowerLabel === "name") printerData.name = value;
-            return !!(printerData.deviceId && printerData.name);
-        });
-
         return {
-            isValid,
+            isValid: !!(printerData.deviceId && printerData.name),
             printerData,
         };
     }
@@ -550,4 +2008,30 @@ export class DymoServices {
 }
 
 // Make those imageService functions available via this file.
-export { createImageWithText } from "./image-services.js";
+export {
+    createBarcodeImage,
+    createImageWithText,
+    createQrCodeImage,
+    fitImageToLabel,
+    printText,
+} from "./image-services.js";
+export { discoverNetworkPrinters } from "./discovery-services.js";
+export {
+    ConfigError,
+    DymoError,
+    ImageError,
+    PrinterNotFoundError,
+    PrinterStatusError,
+    TimeoutError,
+    TransportError,
+} from "./errors.js";
+export { createTextRenderer, loadFont } from "./font-services.js";
+export { IppError } from "./ipp-services.js";
+export { findLabel, mmToDots } from "./labels.js";
+export { findPrinterModel } from "./printer-models.js";
+export { createRasterPreview, createRasterPreviews, decodeRaster } from "./raster-services.js";
+export { bindData, loadTemplate, renderTemplate } from "./layout-services.js";
+export { PrinterPool } from "./pool-services.js";
+export { PrintQueue } from "./queue-services.js";
+export { listUsbPrinters } from "./usb-services.js";
+export { LabelDocument } from "./label-file-services.js";
@@ -0,0 +1,128 @@
+// Errors of the library. Every error has a stable code, so callers can map failures to messages and retries without
+// parsing the message.
+
+/**
+ * Base class of the errors of the library.
+ * Codes: PRINTER_NOT_FOUND, CONFIG, TRANSPORT, TIMEOUT, PRINTER_STATUS, IMAGE and IPP_STATUS of the subclasses,
+ * JOB_FAILED and JOB_NOT_FOUND when a spooled job was cancelled or aborted, or cannot be found, and JOB_CANCELLED
+ * when a job of a PrintQueue was cancelled.
+ */
+export class DymoError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {string} code Stable error code, e.g. TRANSPORT
+     * @param {any} [cause] Error that caused this error
+     */
+    constructor(message, code, cause = undefined) {
+        super(message);
+        this.name = "DymoError";
+        this.code = code;
+        // The job reached the printer or the spooler before the failure, sending it again could print it twice.
+        this.jobSent = false;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * No printer is configured and none could be found.
+ */
+export class PrinterNotFoundError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {any} [cause] Error that caused this error, e.g. the failure to list the printers
+     */
+    constructor(message, cause = undefined) {
+        super(message, "PRINTER_NOT_FOUND", cause);
+        this.name = "PrinterNotFoundError";
+    }
+}
+
+/**
+ * Invalid configuration, print options or arguments, or an operation the configured interface does not support.
+ */
+export class ConfigError extends DymoError {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message, "CONFIG");
+        this.name = "ConfigError";
+    }
+}
+
+/**
+ * @typedef {Object} TransportErrorDetails
+ * @property {string} [interface] Printer interface (CUPS, NETWORK, WINDOWS, DEVICE, IPP, FILE, MEMORY)
+ * @property {string} [host] Printer host name or IP address
+ * @property {string} [device] Device, CUPS or Windows printer name, or file the job was sent to
+ * @property {string} [command] Command that failed, e.g. lp
+ * @property {number} [exitCode] Exit code of the command
+ * @property {any} [cause] Error that caused this error, e.g. a socket error with code ECONNREFUSED
+ */
+
+/**
+ * The job or a request could not be sent to the printer: a network, device, file or spooler failure.
+ */
+export class TransportError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {TransportErrorDetails} [details] Where the failure happened
+     */
+    constructor(message, details = {}) {
+        super(message, "TRANSPORT", details.cause);
+        this.name = "TransportError";
+        this.interface = details.interface;
+        this.host = details.host;
+        this.device = details.device;
+        this.command = details.command;
+        this.exitCode = details.exitCode;
+    }
+}
+
+/**
+ * The printer, the connection or the job took too long.
+ */
+export class TimeoutError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {number} [timeout] Time waited in milliseconds
+     * @param {boolean} [jobSent] The job was sent completely, so trying again could print it twice
+     */
+    constructor(message, timeout = undefined, jobSent = false) {
+        super(message, "TIMEOUT");
+        this.name = "TimeoutError";
+        this.timeout = timeout;
+        this.jobSent = jobSent;
+    }
+}
+
+/**
+ * Error thrown when the printer status does not allow printing.
+ */
+export class PrinterStatusError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {import("./dymo-services.js").PrinterStatus} status Printer status that caused the error
+     */
+    constructor(message, status) {
+        super(message, "PRINTER_STATUS");
+        this.name = "PrinterStatusError";
+        this.status = status;
+    }
+}
+
+/**
+ * The image, text or printer data cannot be printed, e.g. an image wider than the print head.
+ */
+export class ImageError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {any} [cause] Error that caused this error, e.g. a failure of Jimp
+     */
+    constructor(message, cause = undefined) {
+        super(message, "IMAGE", cause);
+        this.name = "ImageError";
+    }
+}
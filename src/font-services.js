@@ -0,0 +1,424 @@
+import Jimp from "jimp";
+import opentype from "opentype.js";
+import path from "node:path";
+
+// Fonts are rendered to a 1-bit mask without anti-aliasing, so the text stays sharp after the conversion to a bitmap.
+// TrueType and OpenType fonts are rasterized from their outlines at any size, BMFont fonts (including the Jimp
+// built-in fonts) are drawn at their native size and scaled with nearest neighbour.
+
+export const FONT_TYPE_OPENTYPE = "OPENTYPE";
+export const FONT_TYPE_BMFONT = "BMFONT";
+
+// Horizontal shift per pixel above the baseline for the synthetic italic, about 11 degrees.
+const ITALIC_SLANT = 0.2;
+// The synthetic bold thickens the strokes by one pixel for every BOLD_DIVISOR pixels of font size.
+const BOLD_DIVISOR = 24;
+
+/** @type {Map<string, Promise<LabelFont>>} */
+const fontCache = new Map();
+// Fonts parsed from a buffer, by buffer, released together with the buffer.
+/** @type {WeakMap<Buffer, Promise<LabelFont>>} */
+const bufferFontCache = new WeakMap();
+
+/**
+ * @typedef {Object} LabelFont
+ * @property {string} type Font type; OPENTYPE or BMFONT
+ * @property {any} font opentype.js font, or Jimp font
+ * @property {number} size Native size in pixels (BMFONT), or 0 when the font scales to any size (OPENTYPE)
+ */
+
+/**
+ * @typedef {Object} FontOptions
+ * @property {number} [size] Font size in pixels, defaults to the native size of a BMFont and 32 otherwise
+ * @property {boolean} [bold] Synthetic bold, thickens the strokes (defaults to false)
+ * @property {boolean} [italic] Synthetic italic, slants the glyphs (defaults to false)
+ * @property {number} [letterSpacing] Extra space between characters in pixels, may be negative (defaults to 0)
+ * @property {number} [lineHeight] Line height relative to the natural line height of the font (defaults to 1)
+ */
+
+/**
+ * @typedef {Object} TextRenderer
+ * @property {number} size Font size in pixels
+ * @property {number} lineHeight Distance between the tops of two lines in pixels
+ * @property {function(string):number} measureText Width of a line of text in pixels
+ * @property {function(Jimp,number,number,string):void} drawText Draw a line of text in black, at the top left
+ *                                                               position, on the image
+ */
+
+/**
+ * Load a font file. TrueType (.ttf) and OpenType (.otf) fonts, and BMFont (.fnt) fonts are supported.
+ * Fonts are cached, so the same file is only read once and the same buffer only parsed once. A buffer should not be
+ * changed after it was loaded.
+ *
+ * @param {string|Buffer} file Font file, or buffer containing a TrueType or OpenType font
+ * @return {Promise<LabelFont>}
+ */
+export function loadFont(file) {
+    if (Buffer.isBuffer(file)) {
+        if (!bufferFontCache.has(file)) {
+            const parsing = new Promise((resolve) => {
+                const arrayBuffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+                resolve({ type: FONT_TYPE_OPENTYPE, font: opentype.parse(arrayBuffer), size: 0 });
+            });
+            parsing.catch(() => bufferFontCache.delete(file));
+            bufferFontCache.set(file, parsing);
+        }
+        return /** @type {Promise<LabelFont>} */ (bufferFontCache.get(file));
+    }
+    if (typeof file !== "string" || !file) {
+        return Promise.reject(Error("loadFont(): file should be a file name or a buffer"));
+    }
+    if (!fontCache.has(file)) {
+        const loading = new Promise((resolve, reject) => {
+            if (path.extname(file).toLowerCase() === ".fnt") {
+                Jimp.loadFont(file)
+                    .then((font) =>
+                        resolve({
+                            type: FONT_TYPE_BMFONT,
+                            font,
+                            size: Math.abs(font.info.size) || font.common.lineHeight,
+                        })
+                    )
+                    .catch(reject);
+                return;
+            }
+            opentype.load(file, (err, font) => {
+                if (err) {
+                    reject(Error(`loadFont(): cannot load font "${file}": ${err.message || err}`));
+                    return;
+                }
+                resolve({ type: FONT_TYPE_OPENTYPE, font, size: 0 });
+            });
+        });
+        // Do not cache failures, the file may be there on the next try.
+        loading.catch(() => fontCache.delete(file));
+        fontCache.set(file, loading);
+    }
+    return /** @type {Promise<LabelFont>} */ (fontCache.get(file));
+}
+
+/**
+ * Create a renderer that measures and draws lines of text with the font.
+ *
+ * @param {LabelFont} labelFont Font from loadFont()
+ * @param {FontOptions} [options] Font options
+ * @return {TextRenderer}
+ */
+export function createTextRenderer(labelFont, options = {}) {
+    if (!labelFont || [FONT_TYPE_OPENTYPE, FONT_TYPE_BMFONT].indexOf(labelFont.type) === -1) {
+        throw Error("createTextRenderer(): labelFont should be a font from loadFont()");
+    }
+    const { size = labelFont.size || 32, bold = false, italic = false, letterSpacing = 0, lineHeight = 1 } = options;
+    if (typeof size !== "number" || !(size > 0)) {
+        throw Error(`createTextRenderer(): size should be a positive number: "${size}"`);
+    }
+    if (typeof letterSpacing !== "number" || !Number.isFinite(letterSpacing)) {
+        throw Error(`createTextRenderer(): letterSpacing should be a number: "${letterSpacing}"`);
+    }
+    if (typeof lineHeight !== "number" || !(lineHeight > 0)) {
+        throw Error(`createTextRenderer(): lineHeight should be a positive number: "${lineHeight}"`);
+    }
+    const metrics =
+        labelFont.type === FONT_TYPE_OPENTYPE
+            ? openTypeMetrics(labelFont.font, size)
+            : bmFontMetrics(labelFont.font, labelFont.size, size);
+    const boldWidth = bold ? Math.max(1, Math.round(size / BOLD_DIVISOR)) : 0;
+
+    /**
+     * Horizontal position of every character, relative to the start of the line.
+     *
+     * @param {string} line Line of text
+     * @return {{positions:number[],width:number}} Positions and total width
+     */
+    const layout = (line) => {
+        const positions = [];
+        let x = 0;
+        const advances = metrics.advances(line);
+        advances.forEach((advance, i) => {
+            positions.push(x);
+            x += advance + boldWidth + (i < advances.length - 1 ? letterSpacing : 0);
+        });
+        return { positions, width: Math.max(0, Math.ceil(x)) };
+    };
+
+    return {
+        size,
+        lineHeight: Math.max(1, Math.round(metrics.lineHeight * lineHeight)),
+        measureText: (line) => layout(line).width,
+        drawText: (image, x, y, line) => {
+            const { positions, width } = layout(line);
+            // Leave room for glyphs that extend beyond their advance width, and for the slant and the bold.
+            const padding = Math.ceil(size / 4);
+            const slant = italic ? Math.ceil(metrics.ascent * ITALIC_SLANT) : 0;
+            const mask = {
+                width: width + 2 * padding + slant + boldWidth,
+                height: metrics.height,
+                data: new Uint8Array((width + 2 * padding + slant + boldWidth) * metrics.height),
+            };
+            metrics.draw(mask, padding, line, positions);
+            if (italic) {
+                slantMask(mask, metrics.ascent);
+            }
+            if (boldWidth) {
+                emboldenMask(mask, boldWidth);
+            }
+            const left = Math.round(x) - padding;
+            const top = Math.round(y);
+            for (let maskY = 0; maskY < mask.height; maskY++) {
+                const imageY = top + maskY;
+                if (imageY < 0 || imageY >= image.bitmap.height) {
+                    continue;
+                }
+                for (let maskX = 0; maskX < mask.width; maskX++) {
+                    const imageX = left + maskX;
+                    if (mask.data[maskY * mask.width + maskX] && imageX >= 0 && imageX < image.bitmap.width) {
+                        image.bitmap.data.writeUInt32BE(0x000000ff, (imageY * image.bitmap.width + imageX) * 4);
+                    }
+                }
+            }
+        },
+    };
+}
+
+/**
+ * @typedef {Object} FontMetrics
+ * @private
+ * @property {number} ascent Distance from the top of the line to the baseline in pixels
+ * @property {number} height Height of the glyphs from the highest ascender to the lowest descender in pixels
+ * @property {number} lineHeight Natural line height in pixels
+ * @property {function(string):number[]} advances Advance width of every character of the line, including kerning
+ * @property {function({width:number,height:number,data:Uint8Array},number,string,number[]):void} draw Draw the
+ *           characters of the line at the positions in the mask
+ */
+
+/**
+ * Metrics and drawing of a TrueType or OpenType font.
+ *
+ * @param {any} font opentype.js font
+ * @param {number} size Font size in pixels
+ * @return {FontMetrics}
+ */
+function openTypeMetrics(font, size) {
+    const scale = size / font.unitsPerEm;
+    const ascent = Math.ceil(font.ascender * scale);
+    const height = ascent + Math.ceil(-font.descender * scale);
+    const lineGap = font.tables.hhea ? font.tables.hhea.lineGap : 0;
+    return {
+        ascent,
+        height,
+        lineHeight: height + Math.round(lineGap * scale),
+        advances: (line) => {
+            const glyphs = font.stringToGlyphs(line);
+            return glyphs.map((glyph, i) => {
+                const kerning = i < glyphs.length - 1 ? font.getKerningValue(glyph, glyphs[i + 1]) : 0;
+                return (glyph.advanceWidth + kerning) * scale;
+            });
+        },
+        draw: (mask, offsetX, line, positions) => {
+            const polygons = [];
+            font.stringToGlyphs(line).forEach((glyph, i) => {
+                const glyphPath = glyph.getPath(offsetX + positions[i], ascent, size);
+                polygons.push(...flattenPath(glyphPath.commands));
+            });
+            fillPolygons(mask, polygons);
+        },
+    };
+}
+
+/**
+ * Metrics and drawing of a BMFont font, scaled from its native size.
+ *
+ * @param {any} font Jimp font
+ * @param {number} nativeSize Native font size in pixels
+ * @param {number} size Font size in pixels
+ * @return {FontMetrics}
+ */
+function bmFontMetrics(font, nativeSize, size) {
+    const scale = size / nativeSize;
+    /**
+     * The character that is drawn, Jimp draws a question mark for missing characters and nothing for white space.
+     *
+     * @param {string} char Character
+     * @return {any} BMFont character
+     */
+    const charOf = (char) => font.chars[char] || (/\s/.test(char) ? font.chars[" "] : font.chars["?"]) || {};
+    return {
+        ascent: Math.round(font.common.base * scale),
+        height: Math.ceil(font.common.lineHeight * scale),
+        lineHeight: Math.ceil(font.common.lineHeight * scale),
+        advances: (line) => {
+            const chars = Array.from(line);
+            return chars.map((char, i) => {
+                const kernings = font.kernings[char];
+                const kerning = kernings && i < chars.length - 1 ? kernings[chars[i + 1]] || 0 : 0;
+                return ((charOf(char).xadvance || 0) + kerning) * scale;
+            });
+        },
+        draw: (mask, offsetX, line, positions) => {
+            Array.from(line).forEach((char, i) => {
+                const fontChar = charOf(char);
+                if (!(fontChar.width > 0 && fontChar.height > 0)) {
+                    return;
+                }
+                const page = font.pages[fontChar.page];
+                const left = offsetX + positions[i] + fontChar.xoffset * scale;
+                const top = fontChar.yoffset * scale;
+                const right = left + fontChar.width * scale;
+                const bottom = top + fontChar.height * scale;
+                // Sample the glyph at the centre of every mask pixel it covers.
+                for (let y = Math.max(0, Math.round(top)); y < Math.min(mask.height, Math.round(bottom)); y++) {
+                    const sourceY = fontChar.y + Math.floor((y + 0.5 - top) / scale);
+                    for (let x = Math.max(0, Math.round(left)); x < Math.min(mask.width, Math.round(right)); x++) {
+                        const sourceX = fontChar.x + Math.floor((x + 0.5 - left) / scale);
+                        const idx = page.getPixelIndex(sourceX, sourceY);
+                        // The built-in fonts are black on transparent, other fonts may be white on transparent.
+                        if (page.bitmap.data[idx + 3] >= 128) {
+                            mask.data[y * mask.width + x] = 1;
+                        }
+                    }
+                }
+            });
+        },
+    };
+}
+
+/**
+ * Flatten the path commands of a glyph into closed polygons, approximating the curves with line segments.
+ *
+ * @param {any[]} commands opentype.js path commands
+ * @return {number[][]} Polygons as flat lists of x,y coordinates
+ */
+function flattenPath(commands) {
+    const polygons = [];
+    let polygon = [];
+    let x = 0;
+    let y = 0;
+    /**
+     * Number of line segments for a curve, based on the length of its control polygon.
+     *
+     * @param {...number} coordinates Control points as x,y coordinates
+     * @return {number} Number of segments
+     */
+    const segments = (...coordinates) => {
+        let length = 0;
+        for (let i = 2; i < coordinates.length; i += 2) {
+            length += Math.hypot(coordinates[i] - coordinates[i - 2], coordinates[i + 1] - coordinates[i - 1]);
+        }
+        return Math.min(32, Math.max(1, Math.ceil(length / 2)));
+    };
+    commands.forEach((command) => {
+        if (command.type === "M") {
+            if (polygon.length > 2) {
+                polygons.push(polygon);
+            }
+            polygon = [command.x, command.y];
+        } else if (command.type === "L") {
+            polygon.push(command.x, command.y);
+        } else if (command.type === "Q") {
+            const n = segments(x, y, command.x1, command.y1, command.x, command.y);
+            for (let i = 1; i <= n; i++) {
+                const t = i / n;
+                const u = 1 - t;
+                polygon.push(
+                    u * u * x + 2 * u * t * command.x1 + t * t * command.x,
+                    u * u * y + 2 * u * t * command.y1 + t * t * command.y
+                );
+            }
+        } else if (command.type === "C") {
+            const n = segments(x, y, command.x1, command.y1, command.x2, command.y2, command.x, command.y);
+            for (let i = 1; i <= n; i++) {
+                const t = i / n;
+                const u = 1 - t;
+                polygon.push(
+                    u * u * u * x + 3 * u * u * t * command.x1 + 3 * u * t * t * command.x2 + t * t * t * command.x,
+                    u * u * u * y + 3 * u * u * t * command.y1 + 3 * u * t * t * command.y2 + t * t * t * command.y
+                );
+            }
+        }
+        if (command.type !== "Z") {
+            x = command.x;
+            y = command.y;
+        }
+    });
+    if (polygon.length > 2) {
+        polygons.push(polygon);
+    }
+    return polygons;
+}
+
+/**
+ * Fill the polygons in the mask with the non-zero winding rule.
+ * A pixel is set when its centre is inside the outline, no anti-aliasing is done.
+ *
+ * @param {{width:number,height:number,data:Uint8Array}} mask Mask to draw in
+ * @param {number[][]} polygons Closed polygons as flat lists of x,y coordinates
+ */
+function fillPolygons(mask, polygons) {
+    const edges = [];
+    polygons.forEach((polygon) => {
+        for (let i = 0; i < polygon.length; i += 2) {
+            const j = (i + 2) % polygon.length;
+            if (polygon[i + 1] !== polygon[j + 1]) {
+                edges.push([polygon[i], polygon[i + 1], polygon[j], polygon[j + 1]]);
+            }
+        }
+    });
+    for (let y = 0; y < mask.height; y++) {
+        const centreY = y + 0.5;
+        /** @type {{x:number,winding:number}[]} */
+        const crossings = [];
+        edges.forEach(([x1, y1, x2, y2]) => {
+            if ((y1 <= centreY && y2 > centreY) || (y2 <= centreY && y1 > centreY)) {
+                crossings.push({ x: x1 + ((centreY - y1) * (x2 - x1)) / (y2 - y1), winding: y2 > y1 ? 1 : -1 });
+            }
+        });
+        crossings.sort((a, b) => a.x - b.x);
+        let winding = 0;
+        crossings.forEach((crossing, i) => {
+            winding += crossing.winding;
+            if (winding !== 0 && i < crossings.length - 1) {
+                // Pixels with their centre between this crossing and the next one are inside.
+                const start = Math.max(0, Math.ceil(crossing.x - 0.5));
+                const end = Math.min(mask.width, Math.ceil(crossings[i + 1].x - 0.5));
+                mask.data.fill(1, y * mask.width + start, y * mask.width + Math.max(start, end));
+            }
+        });
+    }
+}
+
+/**
+ * Slant the mask to the right for the synthetic italic, the baseline stays in place.
+ *
+ * @param {{width:number,height:number,data:Uint8Array}} mask Mask
+ * @param {number} baseline Baseline from the top of the mask
+ */
+function slantMask(mask, baseline) {
+    for (let y = 0; y < mask.height; y++) {
+        const shift = Math.round((baseline - y - 0.5) * ITALIC_SLANT);
+        const row = mask.data.slice(y * mask.width, (y + 1) * mask.width);
+        mask.data.fill(0, y * mask.width, (y + 1) * mask.width);
+        for (let x = 0; x < mask.width; x++) {
+            if (row[x] && x + shift >= 0 && x + shift < mask.width) {
+                mask.data[y * mask.width + x + shift] = 1;
+            }
+        }
+    }
+}
+
+/**
+ * Thicken the strokes in the mask to the right for the synthetic bold.
+ *
+ * @param {{width:number,height:number,data:Uint8Array}} mask Mask
+ * @param {number} boldWidth Number of pixels to add to every stroke
+ */
+function emboldenMask(mask, boldWidth) {
+    for (let y = 0; y < mask.height; y++) {
+        const offset = y * mask.width;
+        // Walk from right to left so the added pixels are not spread again.
+        for (let x = mask.width - 1; x >= 0; x--) {
+            if (mask.data[offset + x]) {
+                mask.data.fill(1, offset + x + 1, offset + Math.min(mask.width, x + 1 + boldWidth));
+            }
+        }
+    }
+}
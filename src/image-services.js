@@ -1,7 +1,72 @@
 import Jimp from "jimp";
+import {
+    encodeCode128,
+    encodeCode39,
+    encodeCode39FullAscii,
+    encodeEan13,
+    encodeQrCode,
+    encodeUpcA,
+} from "./barcode-services.js";
+import { ImageError } from "./errors.js";
+import { createTextRenderer, loadFont } from "./font-services.js";
 
 // Supported font sizes (in pixels).
-const FONT_SIZES = [8, 10, 12, 14, 16, 32, 64, 128];
+export const FONT_SIZES = [8, 10, 12, 14, 16, 32, 64, 128];
+// Smallest size shrinkToFit goes down to with a custom font.
+const MIN_FONT_SIZE = 6;
+
+// Supported 1D barcode types and their encoders.
+const BARCODE_ENCODERS = {
+    CODE128: encodeCode128,
+    CODE39: encodeCode39,
+    CODE39FULL: encodeCode39FullAscii,
+    EAN13: encodeEan13,
+    UPCA: encodeUpcA,
+};
+
+// Width of the LW450 print head in dots, the maximum width of a raster line.
+const PRINT_HEAD_DOTS = 672;
+// Valid orientations, next to the explicit rotations 0, 90, 180 and 270.
+const ORIENTATIONS = ["AUTO", "LANDSCAPE", "PORTRAIT"];
+const ROTATIONS = [0, 90, 180, 270];
+// Monochrome conversion algorithms, DITHER565 is the original Jimp based conversion.
+const DITHERINGS = ["DITHER565", "THRESHOLD", "FLOYD_STEINBERG", "ATKINSON", "BAYER", "AUTO"];
+// Error diffusion kernels, [dx, dy, weight] of the quantization error per neighbour pixel.
+const FLOYD_STEINBERG_KERNEL = [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16],
+];
+// Atkinson only diffuses 3/4 of the error, which keeps more contrast in light and dark areas.
+const ATKINSON_KERNEL = [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+];
+// 4x4 Bayer matrix for ordered dithering.
+const BAYER_MATRIX = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+];
+
+/**
+ * @typedef {Object} BitmapOptions
+ * @property {string|number} [orientation] AUTO (default), LANDSCAPE, PORTRAIT, or an explicit rotation of
+ *                                         0, 90, 180 or 270 degrees
+ * @property {number} [printHeadWidth] Width of the print head in dots (defaults to 672)
+ * @property {string} [dithering] Monochrome conversion: DITHER565 (default), THRESHOLD, FLOYD_STEINBERG, ATKINSON,
+ *                                BAYER (ordered dithering) or AUTO (Otsu threshold)
+ * @property {number} [threshold] Threshold level for THRESHOLD, 0-255, darker pixels print black (defaults to 128)
+ * @property {boolean} [invert] Invert the result, print white on black
+ * @property {number} [brightness] Brightness adjustment before conversion, -1 to +1 (DITHER565 defaults to 0.3)
+ * @property {number} [contrast] Contrast adjustment before conversion, -1 to +1
+ */
 
 /**
  * Set the bit of given value.
@@ -16,6 +81,44 @@ function setBit(value, bitIndex) {
     return value | bitMask;
 }
 
+/**
+ * Rotate the image clockwise by a multiple of 90 degrees.
+ * Unlike Jimp's rotate(), this keeps the exact pixels and does not add a border.
+ *
+ * @param {Jimp} image Jimp image object (image will be manipulated)
+ * @param {number} degrees Rotation in degrees, 0, 90, 180 or 270
+ * @return {Jimp} The rotated image
+ */
+function rotateImage(image, degrees) {
+    const { width, height, data } = image.bitmap;
+    if (degrees % 360 === 0) {
+        return image;
+    }
+    const swap = degrees === 90 || degrees === 270;
+    const newWidth = swap ? height : width;
+    const newHeight = swap ? width : height;
+    const rotated = Buffer.alloc(data.length);
+    for (let y = 0; y < newHeight; y++) {
+        for (let x = 0; x < newWidth; x++) {
+            let sourceX = width - 1 - x;
+            let sourceY = height - 1 - y;
+            if (degrees === 90) {
+                sourceX = y;
+                sourceY = height - 1 - x;
+            } else if (degrees === 270) {
+                sourceX = width - 1 - y;
+                sourceY = x;
+            }
+            const sourceIdx = (sourceY * width + sourceX) * 4;
+            data.copy(rotated, (y * newWidth + x) * 4, sourceIdx, sourceIdx + 4);
+        }
+    }
+    image.bitmap.data = rotated;
+    image.bitmap.width = newWidth;
+    image.bitmap.height = newHeight;
+    return image;
+}
+
 /**
  * Simulate newlines by replacing them with just enough spaces to force a break at the location of the newline.
  *
@@ -26,14 +129,14 @@ function setBit(value, bitIndex) {
  */
 function simulateNewlines(font, maxTextWidth, text) {
     if (!font) {
-        throw Error("simulateNewlines() - font is required");
+        throw new ImageError("simulateNewlines() - font is required");
     }
     if (!Number.isInteger(maxTextWidth)) {
-        throw Error("simulateNewlines() - maxTextWidth needs to be a positive number");
+        throw new ImageError("simulateNewlines() - maxTextWidth needs to be a positive number");
     }
     const minimalWidth = Jimp.measureText(font, "||");
     if (maxTextWidth < minimalWidth) {
-        throw Error(
+        throw new ImageError(
             `simulateNewlines() - maxTextWidth needs to be greater than ${minimalWidth} but is ${maxTextWidth}`
         );
     }
@@ -60,38 +163,53 @@ function simulateNewlines(font, maxTextWidth, text) {
  * @param imageWidth Image width in pixels
  * @param imageHeight Image height in pixels
  * @param horizontalMargin Margin left and right for the text (it's not added to the total image width)
- * @param {number} fontSize Size of the font; 8,10,12,14,16,32,64 or 128 pixels.
+ * @param {number} fontSize Size of the font; 8,10,12,14,16,32,64 or 128 pixels, any size for a custom font.
  * @param {string} text Text to print
+ * @param {TextOptions} [options] Font options; font, bold, italic, letterSpacing and lineHeight
  * @return {Promise<Jimp>}
  */
-export function createImageWithText(imageWidth, imageHeight, horizontalMargin, fontSize, text) {
+export function createImageWithText(imageWidth, imageHeight, horizontalMargin, fontSize, text, options) {
     return new Promise((resolve, reject) => {
         // Test parameters.
         if (!imageWidth || imageWidth < 0 || !Number.isInteger(imageWidth)) {
-            throw Error(`createImage(): imageWidth should be a positive integer: "${imageWidth}"`);
+            throw new ImageError(`createImage(): imageWidth should be a positive integer: "${imageWidth}"`);
         }
         if (!imageHeight || imageHeight < 0 || !Number.isInteger(imageHeight)) {
-            throw Error(`createImage(): imageHeight should be a positive integer: : "${imageHeight}"`);
+            throw new ImageError(`createImage(): imageHeight should be a positive integer: : "${imageHeight}"`);
         }
         if (horizontalMargin < 0 || !Number.isInteger(horizontalMargin)) {
-            throw Error(`createImage(): horizontalMargin should be positive integer or 0: "${horizontalMargin}"`);
+            throw new ImageError(
+                `createImage(): horizontalMargin should be positive integer or 0: "${horizontalMargin}"`
+            );
         }
-        if (!fontSize || FONT_SIZES.indexOf(fontSize) === -1) {
-            throw Error(`createImage(): invalid font size: "${fontSize}"`);
+        const customFont = Boolean(options && options.font);
+        const validFontSize = customFont
+            ? typeof fontSize === "number" && fontSize > 0
+            : Boolean(fontSize) && FONT_SIZES.indexOf(fontSize) !== -1;
+        if (!validFontSize) {
+            throw new ImageError(`createImage(): invalid font size: "${fontSize}"`);
         }
         if (!text) {
-            throw Error(`createImage(): Empty text, nothing to print.`);
+            throw new ImageError(`createImage(): Empty text, nothing to print.`);
         }
         if (typeof text !== "string") {
-            throw Error(`createImage(): Text should be of type string.`);
+            throw new ImageError(`createImage(): Text should be of type string.`);
         }
 
         new Jimp(imageWidth, imageHeight, "#FFFFFF", (err, image) => {
             if (err) {
-                reject(err);
+                reject(new ImageError(`createImage(): ${err.message}`, err));
                 return;
             }
 
+            if (options) {
+                const maxTextWidth = imageWidth - 2 * horizontalMargin;
+                const box = { x: horizontalMargin, y: 0, width: maxTextWidth, height: imageHeight };
+                printText(image, text, box, { ...options, fontSize, verticalAlign: "MIDDLE" })
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
             Jimp.loadFont(Jimp[`FONT_SANS_${fontSize}_BLACK`])
                 .then((font) => {
                     const maxTextWidth = image.bitmap.width - 2 * horizontalMargin;
@@ -112,45 +230,575 @@ export function createImageWithText(imageWidth, imageHeight, horizontalMargin, f
     });
 }
 
+/**
+ * @typedef {Object} TextOptions
+ * @property {number} [fontSize] Size of the font in pixels (defaults to 32); 8,10,12,14,16,32,64 or 128 for the
+ *                               built-in font, any size for a custom font
+ * @property {string|Buffer|import("./font-services.js").LabelFont} [font] Custom font; TrueType, OpenType or BMFont
+ *                                                                        file, or a font from loadFont()
+ * @property {boolean} [bold] Synthetic bold (defaults to false)
+ * @property {boolean} [italic] Synthetic italic (defaults to false)
+ * @property {number} [letterSpacing] Extra space between characters in pixels (defaults to 0)
+ * @property {number} [lineHeight] Line height relative to the natural line height of the font (defaults to 1)
+ * @property {string} [align] Horizontal alignment; LEFT (default), CENTER or RIGHT
+ * @property {string} [verticalAlign] Vertical alignment; TOP (default), MIDDLE or BOTTOM
+ * @property {boolean} [wrap] Wrap the text at the width of the box (defaults to true)
+ * @property {boolean} [shrinkToFit] Use a smaller font size when the text does not fit the box (defaults to false)
+ */
+
+/**
+ * Print text in a box on the image.
+ * The text is drawn in black without anti-aliasing, so it stays sharp after the conversion to a bitmap.
+ *
+ * @param {Jimp} image Jimp image object (image will be manipulated)
+ * @param {string} text Text to print, may contain newlines
+ * @param {{x:number,y:number,width:number,height:number}} box Position and size of the text box in pixels
+ * @param {TextOptions} [options] Text options
+ * @return {Promise<Jimp>} The image
+ */
+export function printText(image, text, box, options = {}) {
+    return new Promise((resolve, reject) => {
+        const { fontSize = 32, font, align = "LEFT", verticalAlign = "TOP" } = options;
+        const { wrap = true, shrinkToFit = false } = options;
+        if (!image || !image.scan) {
+            throw new ImageError("printText(): parameter image should be of type Jimp image");
+        }
+        if (typeof text !== "string") {
+            throw new ImageError("printText(): Text should be of type string.");
+        }
+        if (font ? typeof fontSize !== "number" || !(fontSize > 0) : FONT_SIZES.indexOf(fontSize) === -1) {
+            throw new ImageError(`printText(): invalid font size: "${fontSize}"`);
+        }
+        if (["LEFT", "CENTER", "RIGHT"].indexOf(align) === -1) {
+            throw new ImageError(`printText(): invalid align "${align}", valid alignments are: LEFT, CENTER, RIGHT`);
+        }
+        if (["TOP", "MIDDLE", "BOTTOM"].indexOf(verticalAlign) === -1) {
+            throw new ImageError(
+                `printText(): invalid verticalAlign "${verticalAlign}", valid alignments are: TOP, MIDDLE, BOTTOM`
+            );
+        }
+
+        // Try the font sizes from large to small, until the text fits. Custom fonts go down one pixel at a time.
+        let fontSizes = [fontSize];
+        if (shrinkToFit && font) {
+            for (let size = Math.ceil(fontSize) - 1; size >= MIN_FONT_SIZE; size--) {
+                fontSizes.push(size);
+            }
+        } else if (shrinkToFit) {
+            fontSizes = FONT_SIZES.filter((size) => size <= fontSize).reverse();
+        }
+
+        /**
+         * Load the font of the given size and measure the text.
+         *
+         * @param {number} index Index in fontSizes
+         * @return {Promise<{renderer:import("./font-services.js").TextRenderer,lines:string[]}>} Renderer and lines
+         *         of the text that fits, or of the smallest font size
+         */
+        const fitText = (index) => {
+            const size = fontSizes[index];
+            let loading;
+            if (!font) {
+                loading = loadFont(Jimp[`FONT_SANS_${size}_BLACK`]);
+            } else if (typeof font === "string" || Buffer.isBuffer(font)) {
+                loading = loadFont(font);
+            } else {
+                loading = Promise.resolve(font);
+            }
+            return loading.then((labelFont) => {
+                const renderer = createTextRenderer(labelFont, {
+                    size,
+                    bold: options.bold,
+                    italic: options.italic,
+                    letterSpacing: options.letterSpacing,
+                    lineHeight: options.lineHeight,
+                });
+                const lines = wrap ? wrapText(renderer, box.width, text) : text.split("\n");
+                const fits =
+                    lines.every((line) => renderer.measureText(line) <= box.width) &&
+                    lines.length * renderer.lineHeight <= box.height;
+                if (fits || index === fontSizes.length - 1) {
+                    return { renderer, lines };
+                }
+                return fitText(index + 1);
+            });
+        };
+
+        fitText(0)
+            .then(({ renderer, lines }) => {
+                const lineHeight = renderer.lineHeight;
+                const textHeight = lines.length * lineHeight;
+                let y = box.y;
+                if (verticalAlign === "MIDDLE") {
+                    y += Math.floor((box.height - textHeight) / 2);
+                } else if (verticalAlign === "BOTTOM") {
+                    y += box.height - textHeight;
+                }
+                lines.forEach((line, i) => {
+                    const lineWidth = renderer.measureText(line);
+                    let x = box.x;
+                    if (align === "CENTER") {
+                        x += Math.floor((box.width - lineWidth) / 2);
+                    } else if (align === "RIGHT") {
+                        x += box.width - lineWidth;
+                    }
+                    renderer.drawText(image, x, y + i * lineHeight, line);
+                });
+                resolve(image);
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Split the text into lines that fit the given width, breaking at spaces and newlines.
+ * Words that are wider than the width are put on a line of their own.
+ *
+ * @param {import("./font-services.js").TextRenderer} renderer Text renderer
+ * @param {number} maxTextWidth The max width of the text block
+ * @param {string} text The text to wrap
+ * @return {string[]} Lines
+ */
+function wrapText(renderer, maxTextWidth, text) {
+    const lines = [];
+    text.split("\n").forEach((paragraph) => {
+        let line = "";
+        paragraph.split(" ").forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && renderer.measureText(candidate) > maxTextWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * @typedef {Object} BarcodeOptions
+ * @property {number} [moduleWidth] Width of the narrowest bar in dots (defaults to 2)
+ * @property {number} [height] Height of the bars in dots (defaults to 100)
+ * @property {number} [quietZone] White space left and right of the bars, in modules (defaults to 10)
+ * @property {boolean} [text] Print the human readable text underneath (defaults to true)
+ * @property {number} [fontSize] Size of the font; 8,10,12,14,16,32,64 or 128 pixels (defaults to 16)
+ */
+
+/**
+ * Create a 1D barcode image.
+ * Every module is an exact number of dots wide and the image only contains black and white pixels, so it prints
+ * crisp with the THRESHOLD dithering. Use Jimp's blit() or composite() to place it on a label image.
+ *
+ * @param {string} type Barcode type; CODE128, CODE39, CODE39FULL (Full ASCII Code 39), EAN13 or UPCA
+ * @param {string} data Data to encode
+ * @param {BarcodeOptions} [options] Barcode options
+ * @return {Promise<Jimp>}
+ */
+export function createBarcodeImage(type, data, options = {}) {
+    return new Promise((resolve, reject) => {
+        const encoder = BARCODE_ENCODERS[type];
+        if (!encoder) {
+            const types = Object.keys(BARCODE_ENCODERS).join(", ");
+            throw new ImageError(`createBarcodeImage(): invalid type "${type}", valid types are: ${types}`);
+        }
+        const { moduleWidth = 2, height = 100, quietZone = 10, text = true, fontSize = 16 } = options;
+        validateModuleOptions("createBarcodeImage", { moduleWidth, height, quietZone, fontSize });
+
+        const { modules, text: humanReadableText } = encoder(data);
+        const matrix = new Array(height).fill(modules.split("").map((module) => module === "1"));
+        renderModules(matrix, moduleWidth, quietZone, text ? humanReadableText : "", fontSize)
+            .then(resolve)
+            .catch(reject);
+    });
+}
+
+/**
+ * @typedef {Object} QrCodeOptions
+ * @property {number} [moduleSize] Width and height of a module in dots (defaults to 4)
+ * @property {number} [quietZone] White space around the code, in modules (defaults to 4)
+ * @property {string} [errorCorrection] Error correction level L, M, Q or H (defaults to M)
+ * @property {boolean} [text] Print the text underneath (defaults to false)
+ * @property {number} [fontSize] Size of the font; 8,10,12,14,16,32,64 or 128 pixels (defaults to 16)
+ */
+
+/**
+ * Create a QR code image.
+ * Every module is an exact number of dots and the image only contains black and white pixels, so it prints crisp
+ * with the THRESHOLD dithering. Use Jimp's blit() or composite() to place it on a label image.
+ *
+ * @param {string} data Text to encode
+ * @param {QrCodeOptions} [options] QR code options
+ * @return {Promise<Jimp>}
+ */
+export function createQrCodeImage(data, options = {}) {
+    return new Promise((resolve, reject) => {
+        const { moduleSize = 4, quietZone = 4, errorCorrection = "M", text = false, fontSize = 16 } = options;
+        validateModuleOptions("createQrCodeImage", { moduleWidth: moduleSize, height: 1, quietZone, fontSize });
+
+        const qrModules = encodeQrCode(data, errorCorrection);
+        // Scale the rows, so modules are square and the quiet zone is on top and bottom too.
+        const whiteRow = new Array(qrModules.length).fill(false);
+        const rows = [...new Array(quietZone).fill(whiteRow), ...qrModules, ...new Array(quietZone).fill(whiteRow)];
+        const matrix = [];
+        rows.forEach((row) => matrix.push(...new Array(moduleSize).fill(row)));
+        renderModules(matrix, moduleSize, quietZone, text ? data : "", fontSize).then(resolve).catch(reject);
+    });
+}
+
+/**
+ * Validate the module options of a barcode.
+ * Throw error in case of an invalid option.
+ *
+ * @param {string} caller Name of the calling function
+ * @param {{moduleWidth:number,height:number,quietZone:number,fontSize:number}} options Module options
+ */
+function validateModuleOptions(caller, { moduleWidth, height, quietZone, fontSize }) {
+    if (!Number.isInteger(moduleWidth) || moduleWidth <= 0) {
+        throw new ImageError(`${caller}(): module size should be a positive integer: "${moduleWidth}"`);
+    }
+    if (!Number.isInteger(height) || height <= 0) {
+        throw new ImageError(`${caller}(): height should be a positive integer: "${height}"`);
+    }
+    if (!Number.isInteger(quietZone) || quietZone < 0) {
+        throw new ImageError(`${caller}(): quietZone should be positive integer or 0: "${quietZone}"`);
+    }
+    if (FONT_SIZES.indexOf(fontSize) === -1) {
+        throw new ImageError(`${caller}(): invalid font size: "${fontSize}"`);
+    }
+}
+
+/**
+ * Render a module matrix as black and white image, with optional text centered underneath.
+ *
+ * @param {boolean[][]} matrix Rows of modules, one row per dot, true for black
+ * @param {number} moduleWidth Width of a module in dots
+ * @param {number} quietZone White space left and right, in modules
+ * @param {string} text Text to print underneath, empty for none
+ * @param {number} fontSize Size of the font
+ * @return {Promise<Jimp>}
+ */
+function renderModules(matrix, moduleWidth, quietZone, text, fontSize) {
+    const fontPromise = text ? Jimp.loadFont(Jimp[`FONT_SANS_${fontSize}_BLACK`]) : Promise.resolve(undefined);
+    return fontPromise.then((font) => {
+        const codeWidth = (matrix[0].length + 2 * quietZone) * moduleWidth;
+        const textWidth = font ? Jimp.measureText(font, text) : 0;
+        const textHeight = font ? Jimp.measureTextHeight(font, text, textWidth + 1) : 0;
+        const width = Math.max(codeWidth, textWidth);
+        const image = new Jimp(width, matrix.length + textHeight, 0xffffffff);
+
+        const offsetX = Math.floor((width - codeWidth) / 2) + quietZone * moduleWidth;
+        matrix.forEach((row, y) => {
+            row.forEach((black, x) => {
+                if (black) {
+                    image.scan(offsetX + x * moduleWidth, y, moduleWidth, 1, (_x, _y, idx) => {
+                        image.bitmap.data.writeUInt32BE(0x000000ff, idx);
+                    });
+                }
+            });
+        });
+
+        if (font) {
+            image.print(font, Math.floor((width - textWidth) / 2), matrix.length, text);
+            // Remove the anti-aliasing of the font, only black and white pixels remain.
+            image.scan(0, matrix.length, width, textHeight, (_x, _y, idx) => {
+                const black = image.bitmap.data[idx] < 128 && image.bitmap.data[idx + 3] >= 128;
+                image.bitmap.data.writeUInt32BE(black ? 0x000000ff : 0xffffffff, idx);
+            });
+        }
+        return image;
+    });
+}
+
+/**
+ * Fit the image to the printable area of the label.
+ * The image is rotated when its orientation differs from the label orientation, and then scaled.
+ *
+ * @param {Jimp} image Jimp image object (image will be manipulated)
+ * @param {{imageWidth:number,imageHeight:number}} label Label from DYMO_LABELS
+ * @param {string} [fit] CONTAIN scales and letterboxes the image with white (default), COVER scales and crops,
+ *                       STRETCH scales without keeping the aspect ratio
+ * @return {Jimp} Image with exactly the size of the printable area, in landscape orientation
+ */
+export function fitImageToLabel(image, label, fit = "CONTAIN") {
+    if (!image || !image.scan) {
+        throw new ImageError("fitImageToLabel(): parameter image should be of type Jimp image");
+    }
+    if (!label || !Number.isInteger(label.imageWidth) || !Number.isInteger(label.imageHeight)) {
+        throw new ImageError("fitImageToLabel(): parameter label should have an integer imageWidth and imageHeight");
+    }
+
+    const { imageWidth, imageHeight } = label;
+    const imageIsLandscape = image.bitmap.width >= image.bitmap.height;
+    const labelIsLandscape = imageWidth >= imageHeight;
+    // Square labels or images fit either way, only rotate if it really is the other orientation.
+    const isSquare = image.bitmap.width === image.bitmap.height || imageWidth === imageHeight;
+    if (!isSquare && imageIsLandscape !== labelIsLandscape) {
+        rotateImage(image, 90);
+    }
+
+    // Letterbox with white, transparent would turn black once the image is made opaque.
+    image.background(0xffffffff);
+    const align = Jimp.HORIZONTAL_ALIGN_CENTER | Jimp.VERTICAL_ALIGN_MIDDLE;
+    if (fit === "CONTAIN") {
+        return image.contain(imageWidth, imageHeight, align);
+    }
+    if (fit === "COVER") {
+        return image.cover(imageWidth, imageHeight, align);
+    }
+    if (fit === "STRETCH") {
+        return image.resize(imageWidth, imageHeight);
+    }
+    throw new ImageError(`fitImageToLabel(): invalid fit "${fit}", valid fits are: CONTAIN, COVER, STRETCH`);
+}
+
+/**
+ * Get the grey levels of the image, transparent pixels are blended with white.
+ *
+ * @param {Jimp} image Jimp image object
+ * @return {Float32Array} Grey level per pixel, 0 (black) - 255 (white)
+ */
+function getGreyLevels(image) {
+    const { width, height, data } = image.bitmap;
+    const levels = new Float32Array(width * height);
+    for (let i = 0; i < levels.length; i++) {
+        const idx = i * 4;
+        // ITU-R BT.601 luma, the same weights Jimp uses for greyscale().
+        const luma = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        const alpha = data[idx + 3] / 255;
+        levels[i] = luma * alpha + 255 * (1 - alpha);
+    }
+    return levels;
+}
+
+/**
+ * Calculate the optimal threshold with Otsu's method, which maximizes the variance between black and white.
+ *
+ * @param {Float32Array} levels Grey levels
+ * @return {number} Threshold level, 0-255
+ */
+function otsuThreshold(levels) {
+    const histogram = new Array(256).fill(0);
+    levels.forEach((level) => histogram[Math.round(level)]++);
+
+    let sum = 0;
+    histogram.forEach((count, level) => (sum += level * count));
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let maxVariance = -1;
+    let threshold = 128;
+    for (let level = 0; level < 256; level++) {
+        weightBackground += histogram[level];
+        const weightForeground = levels.length - weightBackground;
+        if (weightBackground === 0) {
+            continue;
+        }
+        if (weightForeground === 0) {
+            break;
+        }
+        sumBackground += level * histogram[level];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > maxVariance) {
+            maxVariance = variance;
+            // Levels up to and including this level are black.
+            threshold = level + 1;
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Convert grey levels to black and white with error diffusion.
+ *
+ * @param {Float32Array} levels Grey levels (will be manipulated)
+ * @param {number} width Image width in pixels
+ * @param {number} height Image height in pixels
+ * @param {number[][]} kernel Error diffusion kernel, [dx, dy, weight]
+ * @return {Uint8Array} 1 for every black pixel
+ */
+function diffuseError(levels, width, height, kernel) {
+    const black = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const isBlack = levels[i] < 128;
+            black[i] = isBlack ? 1 : 0;
+            const error = levels[i] - (isBlack ? 0 : 255);
+            kernel.forEach(([dx, dy, weight]) => {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < width && ny < height) {
+                    levels[ny * width + nx] += error * weight;
+                }
+            });
+        }
+    }
+    return black;
+}
+
+/**
+ * Convert the image to black and white pixels with the given algorithm.
+ *
+ * @param {Jimp} image Jimp image object (image will be manipulated)
+ * @param {BitmapOptions} options Bitmap options
+ * @return {Uint8Array} 1 for every black pixel, row by row
+ */
+function convertToMonochrome(image, options) {
+    const dithering = options.dithering || "DITHER565";
+    if (DITHERINGS.indexOf(dithering) === -1) {
+        throw new ImageError(
+            `convertToMonochrome(): invalid dithering "${dithering}", valid ditherings are: ${DITHERINGS.join(", ")}`
+        );
+    }
+    const threshold = options.threshold === undefined ? 128 : options.threshold;
+    if (typeof threshold !== "number" || threshold < 0 || threshold > 255) {
+        throw new ImageError(`convertToMonochrome(): threshold should be a number from 0 to 255: "${threshold}"`);
+    }
+    ["brightness", "contrast"].forEach((adjustment) => {
+        const value = options[adjustment];
+        if (value !== undefined && (typeof value !== "number" || value < -1 || value > 1)) {
+            throw new ImageError(`convertToMonochrome(): ${adjustment} should be a number from -1 to +1: "${value}"`);
+        }
+    });
+
+    const { width, height } = image.bitmap;
+    if (dithering === "DITHER565") {
+        const brightness = options.brightness === undefined ? 0.3 : options.brightness;
+        image.opaque().greyscale().brightness(brightness);
+        if (options.contrast) {
+            image.contrast(options.contrast);
+        }
+        image.dither565().posterize(2);
+        // The image is posterized, so we only have to check the "red" channel.
+        const black = new Uint8Array(width * height);
+        for (let i = 0; i < black.length; i++) {
+            black[i] = image.bitmap.data[i * 4] < 50 ? 1 : 0;
+        }
+        return black;
+    }
+
+    if (options.brightness) {
+        image.brightness(options.brightness);
+    }
+    if (options.contrast) {
+        image.contrast(options.contrast);
+    }
+    const levels = getGreyLevels(image);
+    if (dithering === "FLOYD_STEINBERG") {
+        return diffuseError(levels, width, height, FLOYD_STEINBERG_KERNEL);
+    }
+    if (dithering === "ATKINSON") {
+        return diffuseError(levels, width, height, ATKINSON_KERNEL);
+    }
+
+    const black = new Uint8Array(width * height);
+    const level = dithering === "AUTO" ? otsuThreshold(levels) : threshold;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const pixelThreshold = dithering === "BAYER" ? ((BAYER_MATRIX[y % 4][x % 4] + 0.5) * 256) / 16 : level;
+            black[i] = levels[i] < pixelThreshold ? 1 : 0;
+        }
+    }
+    return black;
+}
+
+/**
+ * Determine how many degrees the image has to be rotated, so the raster lines fit the print head.
+ * The printer prints portrait raster lines, so a landscape image is rotated 90 degrees.
+ *
+ * @param {number} width Image width in pixels
+ * @param {number} height Image height in pixels
+ * @param {string|number} orientation AUTO, LANDSCAPE, PORTRAIT, or an explicit rotation of 0, 90, 180 or 270 degrees
+ * @param {number} printHeadWidth Width of the print head in dots
+ * @return {number} Rotation in degrees
+ */
+function determineRotation(width, height, orientation, printHeadWidth) {
+    if (ORIENTATIONS.indexOf(`${orientation}`) === -1 && ROTATIONS.indexOf(Number(orientation)) === -1) {
+        throw new ImageError(
+            `determineRotation(): invalid orientation "${orientation}", valid orientations are: ${[
+                ...ORIENTATIONS,
+                ...ROTATIONS,
+            ].join(", ")}`
+        );
+    }
+
+    let rotation;
+    if (orientation === "AUTO") {
+        const fitsUnrotated = width <= printHeadWidth;
+        const fitsRotated = height <= printHeadWidth;
+        // Prefer landscape, as documented, unless only the unrotated image fits the print head.
+        rotation = fitsRotated && (width > height || !fitsUnrotated) ? 90 : 0;
+    } else if (orientation === "LANDSCAPE") {
+        rotation = 90;
+    } else if (orientation === "PORTRAIT") {
+        rotation = 0;
+    } else {
+        rotation = Number(orientation);
+    }
+
+    const lineWidth = rotation === 90 || rotation === 270 ? height : width;
+    if (lineWidth > printHeadWidth) {
+        throw new ImageError(
+            `determineRotation(): image of ${width}x${height} pixels does not fit ` +
+                `the print head of ${printHeadWidth} dots` +
+                (orientation === "AUTO" ? "" : ` in orientation "${orientation}"`)
+        );
+    }
+    return rotation;
+}
+
 /**
  * Create bitmap from Jimp image object.
+ * The image is rotated to portrait raster lines, according to the orientation option.
  *
  * @param {Jimp} image Jimp image object (image will be manipulated)
+ * @param {BitmapOptions} [options] Bitmap options
  * @return {Promise<number[][]>} Bitmap buffer array
  */
-export function convertImageToBitmap(image) {
+export function convertImageToBitmap(image, options = {}) {
     return new Promise((resolve) => {
         if (!image) {
-            throw Error("convertImageToBitmapBuffer(): parameter image is required");
+            throw new ImageError("convertImageToBitmapBuffer(): parameter image is required");
         }
         if (!image.scan) {
-            throw Error("convertImageToBitmapBuffer(): parameter image should be of type Jimp image");
+            throw new ImageError("convertImageToBitmapBuffer(): parameter image should be of type Jimp image");
         }
 
+        const rotation = determineRotation(
+            image.bitmap.width,
+            image.bitmap.height,
+            options.orientation === undefined ? "AUTO" : options.orientation,
+            options.printHeadWidth || PRINT_HEAD_DOTS
+        );
+        rotateImage(image, rotation);
+
         // Convert to black- and white image.
-        const bwImage = image.opaque().greyscale().brightness(0.3).dither565().posterize(2);
+        const blackPixels = convertToMonochrome(image, options);
 
         const bitmap = [];
 
         // Helper method is available to scan a region of the bitmap:
         // image.scan(x, y, w, h, f); // scan a given region of the bitmap and call the function f on every pixel
-        bwImage.scan(
+        image.scan(
             0,
             0,
-            bwImage.bitmap.width,
-            bwImage.bitmap.height,
-            (x, y, idx) => {
+            image.bitmap.width,
+            image.bitmap.height,
+            (x, y) => {
                 // x, y is the position of this pixel on the image.
-                // idx is the position start position of this rgba tuple in the bitmap Buffer.
 
                 // Add new empty row.
                 if (bitmap.length <= y) {
-                    const bytes = Math.ceil(bwImage.bitmap.width / 8);
+                    const bytes = Math.ceil(image.bitmap.width / 8);
                     bitmap.push(new Array(bytes).fill(0));
                 }
 
-                // The image is posterized, so we only have to check the "red" channel.
-                const black = bwImage.bitmap.data[idx] < 50;
+                const black = blackPixels[y * image.bitmap.width + x] === (options.invert ? 0 : 1);
                 if (black) {
                     const row = bitmap[y];
                     // Set the right bit.
@@ -0,0 +1,548 @@
+import http from "node:http";
+import https from "node:https";
+import { ConfigError, DymoError, TimeoutError } from "./errors.js";
+
+// Internet Printing Protocol/1.1: Encoding and Transport.
+// https://www.rfc-editor.org/rfc/rfc8010
+// https://www.rfc-editor.org/rfc/rfc8011
+
+const IPP_VERSION = Buffer.from([1, 1]);
+// The default port of both ipp and ipps, RFC 7472.
+const IPP_PORT = 631;
+
+// Operation ids.
+const OPERATION_PRINT_JOB = 0x0002;
+const OPERATION_CANCEL_JOB = 0x0008;
+const OPERATION_GET_JOB_ATTRIBUTES = 0x0009;
+const OPERATION_GET_PRINTER_ATTRIBUTES = 0x000b;
+
+// Delimiter tags, they start an attribute group or end the attributes.
+const TAG_OPERATION_ATTRIBUTES = 0x01;
+const TAG_JOB_ATTRIBUTES = 0x02;
+const TAG_END_OF_ATTRIBUTES = 0x03;
+const TAG_PRINTER_ATTRIBUTES = 0x04;
+const TAG_UNSUPPORTED_ATTRIBUTES = 0x05;
+const GROUPS = {
+    [TAG_OPERATION_ATTRIBUTES]: "operation",
+    [TAG_JOB_ATTRIBUTES]: "job",
+    [TAG_PRINTER_ATTRIBUTES]: "printer",
+    [TAG_UNSUPPORTED_ATTRIBUTES]: "unsupported",
+};
+
+// Value tags.
+const TAG_INTEGER = 0x21;
+const TAG_BOOLEAN = 0x22;
+const TAG_ENUM = 0x23;
+const TAG_DATE_TIME = 0x31;
+const TAG_RESOLUTION = 0x32;
+const TAG_RANGE_OF_INTEGER = 0x33;
+const TAG_BEGIN_COLLECTION = 0x34;
+const TAG_TEXT_WITH_LANGUAGE = 0x35;
+const TAG_NAME_WITH_LANGUAGE = 0x36;
+const TAG_END_COLLECTION = 0x37;
+const TAG_NAME = 0x42;
+const TAG_KEYWORD = 0x44;
+const TAG_URI = 0x45;
+const TAG_CHARSET = 0x47;
+const TAG_NATURAL_LANGUAGE = 0x48;
+const TAG_MIME_MEDIA_TYPE = 0x49;
+const TAG_MEMBER_ATTR_NAME = 0x4a;
+
+// Values of the job-state and printer-state enums.
+const JOB_STATES = {
+    3: "pending",
+    4: "pending-held",
+    5: "processing",
+    6: "processing-stopped",
+    7: "canceled",
+    8: "aborted",
+    9: "completed",
+};
+const PRINTER_STATES = { 3: "idle", 4: "processing", 5: "stopped" };
+
+// Status codes, successful codes are below 0x0400.
+const STATUS_CODES = {
+    0x0400: "client-error-bad-request",
+    0x0401: "client-error-forbidden",
+    0x0402: "client-error-not-authenticated",
+    0x0403: "client-error-not-authorized",
+    0x0404: "client-error-not-possible",
+    0x0405: "client-error-timeout",
+    0x0406: "client-error-not-found",
+    0x0407: "client-error-gone",
+    0x0408: "client-error-request-entity-too-large",
+    0x040a: "client-error-document-format-not-supported",
+    0x040b: "client-error-attributes-or-values-not-supported",
+    0x0500: "server-error-internal-error",
+    0x0501: "server-error-operation-not-supported",
+    0x0502: "server-error-service-unavailable",
+    0x0503: "server-error-version-not-supported",
+    0x0504: "server-error-device-error",
+    0x0505: "server-error-temporary-error",
+    0x0506: "server-error-not-accepting-jobs",
+    0x0507: "server-error-busy",
+};
+
+// Printer attributes needed to report the printer state.
+const PRINTER_STATE_ATTRIBUTES = [
+    "printer-name",
+    "printer-make-and-model",
+    "printer-state",
+    "printer-state-reasons",
+    "printer-state-message",
+    "printer-is-accepting-jobs",
+    "document-format-supported",
+];
+// Job attributes needed to report the job state.
+const JOB_STATE_ATTRIBUTES = ["job-id", "job-uri", "job-state", "job-state-reasons", "job-state-message"];
+
+/**
+ * @typedef {Object} IppOptions
+ * @property {string} [username] User name, sent as requesting-user-name and for basic authentication
+ * @property {string} [password] Password for basic authentication
+ * @property {string} [jobName] Job name (Print-Job only), defaults to "Label"
+ * @property {number} [timeout] Timeout in milliseconds, defaults to 30000
+ */
+
+/**
+ * @typedef {Object} IppJob
+ * @property {number} jobId Job id assigned by the printer or print server
+ * @property {string} [jobUri] Job URI
+ * @property {string} jobState Job state: pending, pending-held, processing, processing-stopped, canceled, aborted or
+ *                             completed
+ * @property {string[]} jobStateReasons Job state reasons, e.g. job-incoming
+ */
+
+/**
+ * Error returned by the printer or print server: an IPP status code that is not successful, or an HTTP error.
+ */
+export class IppError extends DymoError {
+    /**
+     * @param {string} message Error message
+     * @param {number} [statusCode] IPP status code, e.g. 0x0507 for server-error-busy
+     * @param {number} [httpStatus] HTTP status code, when the request failed at HTTP level
+     */
+    constructor(message, statusCode = undefined, httpStatus = undefined) {
+        super(message, "IPP_STATUS");
+        this.name = "IppError";
+        this.statusCode = statusCode;
+        this.status = statusCode !== undefined ? STATUS_CODES[statusCode] : undefined;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Submit a document with a Print-Job operation.
+ * The document is sent as application/octet-stream, so the printer or print server passes it to the printer as is.
+ *
+ * @param {string} uri Printer URI, e.g. ipp://printserver:631/printers/LabelWriter-450 (ipp, ipps, http or https)
+ * @param {Buffer|import("node:stream").Readable} document Document, the printer commands and raster data, a stream is
+ *                                                        sent chunked as it is read
+ * @param {IppOptions} [options] Options
+ * @return {Promise<IppJob>} Resolves with the created job, rejects otherwise
+ */
+export function printJob(uri, document, options = {}) {
+    return new Promise((resolve, reject) => {
+        const isStream = !!document && typeof document.pipe === "function";
+        if (!isStream && (!Buffer.isBuffer(document) || document.length === 0)) {
+            throw new ConfigError("printJob(): document should be a non-empty Buffer or a Readable stream");
+        }
+        const attributes = [
+            ...operationAttributes(uri, options),
+            [TAG_NAME, "job-name", options.jobName || "Label"],
+            [TAG_MIME_MEDIA_TYPE, "document-format", "application/octet-stream"],
+        ];
+        ippRequest(uri, OPERATION_PRINT_JOB, attributes, options, document)
+            .then((response) => resolve(toJob(response.job[0] || {})))
+            .catch(reject);
+    });
+}
+
+/**
+ * Request the state of a job with a Get-Job-Attributes operation.
+ *
+ * @param {string} uri Printer URI, e.g. ipp://printserver:631/printers/LabelWriter-450 (ipp, ipps, http or https)
+ * @param {number} jobId Job id, as returned by printJob()
+ * @param {IppOptions} [options] Options
+ * @return {Promise<IppJob>} Resolves with the job, rejects otherwise
+ */
+export function getJobAttributes(uri, jobId, options = {}) {
+    const attributes = [
+        ...operationAttributes(uri, options, jobId),
+        [TAG_KEYWORD, "requested-attributes", JOB_STATE_ATTRIBUTES],
+    ];
+    return ippRequest(uri, OPERATION_GET_JOB_ATTRIBUTES, attributes, options).then((response) =>
+        toJob({ "job-id": jobId, ...(response.job[0] || {}) })
+    );
+}
+
+/**
+ * Cancel a job with a Cancel-Job operation.
+ *
+ * @param {string} uri Printer URI, e.g. ipp://printserver:631/printers/LabelWriter-450 (ipp, ipps, http or https)
+ * @param {number} jobId Job id, as returned by printJob()
+ * @param {IppOptions} [options] Options
+ * @return {Promise<void>} Resolves when the job is cancelled, rejects otherwise
+ */
+export function cancelJob(uri, jobId, options = {}) {
+    return ippRequest(uri, OPERATION_CANCEL_JOB, operationAttributes(uri, options, jobId), options).then(
+        () => undefined
+    );
+}
+
+/**
+ * Request the printer attributes with a Get-Printer-Attributes operation.
+ * The printer-state enum is converted to its keyword: idle, processing or stopped.
+ *
+ * @param {string} uri Printer URI, e.g. ipp://printserver:631/printers/LabelWriter-450 (ipp, ipps, http or https)
+ * @param {IppOptions} [options] Options
+ * @param {string[]} [requestedAttributes] Attributes to request, defaults to the printer state attributes
+ * @return {Promise<Object<string, any>>} Resolves with the attributes by name, multiple values as array
+ */
+export function getPrinterAttributes(uri, options = {}, requestedAttributes = PRINTER_STATE_ATTRIBUTES) {
+    const attributes = [
+        ...operationAttributes(uri, options),
+        [TAG_KEYWORD, "requested-attributes", requestedAttributes],
+    ];
+    return ippRequest(uri, OPERATION_GET_PRINTER_ATTRIBUTES, attributes, options).then((response) => {
+        const printer = Object.assign({}, ...response.printer);
+        if (printer["printer-state"] !== undefined) {
+            printer["printer-state"] = PRINTER_STATES[printer["printer-state"]] || printer["printer-state"];
+        }
+        return printer;
+    });
+}
+
+/**
+ * The operation attributes every request starts with, in the order RFC 8011 requires.
+ *
+ * @param {string} uri Printer URI
+ * @param {IppOptions} options Options
+ * @param {number} [jobId] Job id, for the job operations
+ * @return {Array[]} Attributes as [value tag, name, value]
+ */
+function operationAttributes(uri, options, jobId = undefined) {
+    return [
+        [TAG_CHARSET, "attributes-charset", "utf-8"],
+        [TAG_NATURAL_LANGUAGE, "attributes-natural-language", "en"],
+        [TAG_URI, "printer-uri", toPrinterUri(uri)],
+        ...(jobId !== undefined ? [[TAG_INTEGER, "job-id", jobId]] : []),
+        [TAG_NAME, "requesting-user-name", options.username || "anonymous"],
+    ];
+}
+
+/**
+ * Convert the job attributes to the job.
+ *
+ * @param {Object<string, any>} attributes Job attributes
+ * @return {IppJob}
+ */
+function toJob(attributes) {
+    return {
+        jobId: attributes["job-id"],
+        jobUri: attributes["job-uri"],
+        jobState: JOB_STATES[attributes["job-state"]] || "pending",
+        jobStateReasons: toArray(attributes["job-state-reasons"]).filter((reason) => reason !== "none"),
+    };
+}
+
+/**
+ * Send an IPP request over HTTP(S) and decode the response.
+ * Rejects with an IppError if the response status is not successful.
+ *
+ * @param {string} uri Printer URI
+ * @param {number} operationId Operation id
+ * @param {Array[]} attributes Operation attributes as [value tag, name, value]
+ * @param {IppOptions} options Options
+ * @param {Buffer|import("node:stream").Readable} [document] Document data, follows the attributes
+ * @return {Promise<{statusCode:number,operation:Object[],job:Object[],printer:Object[],unsupported:Object[]}>}
+ */
+function ippRequest(uri, operationId, attributes, options, document = undefined) {
+    return new Promise((resolve, reject) => {
+        const url = toHttpUrl(uri);
+        const isStream = !!document && !Buffer.isBuffer(document);
+        const encoded = encodeRequest(operationId, 1, attributes);
+        const body = isStream ? encoded : Buffer.concat([encoded, document || Buffer.alloc(0)]);
+        // Without Content-Length the stream is sent with chunked transfer encoding.
+        /** @type {Object<string, string|number>} */
+        const headers = isStream
+            ? { "Content-Type": "application/ipp" }
+            : { "Content-Type": "application/ipp", "Content-Length": body.length };
+        if (options.username && options.password !== undefined) {
+            const credentials = Buffer.from(`${options.username}:${options.password}`).toString("base64");
+            headers.Authorization = `Basic ${credentials}`;
+        }
+        const transport = url.protocol === "https:" ? https : http;
+        const request = transport.request(url, { method: "POST", headers, timeout: options.timeout || 30000 });
+        request.on("response", (response) => {
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("error", reject);
+            response.on("end", () => {
+                if (response.statusCode !== 200) {
+                    const statusCode = /** @type {number} */ (response.statusCode);
+                    reject(new IppError(`IPP request failed with HTTP status ${statusCode}`, undefined, statusCode));
+                    return;
+                }
+                let decoded;
+                try {
+                    decoded = decodeResponse(Buffer.concat(chunks));
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                if (decoded.statusCode >= 0x0400) {
+                    const status = STATUS_CODES[decoded.statusCode] || `0x${decoded.statusCode.toString(16)}`;
+                    const message = (decoded.operation[0] || {})["status-message"];
+                    reject(new IppError(`IPP request failed: ${message || status}`, decoded.statusCode));
+                    return;
+                }
+                resolve(decoded);
+            });
+        });
+        request.on("timeout", () => {
+            request.destroy();
+            reject(new TimeoutError("Timeout sending IPP request to printer.", options.timeout || 30000));
+        });
+        request.on("error", reject);
+        if (!isStream) {
+            request.end(body);
+            return;
+        }
+        const stream = /** @type {import("node:stream").Readable} */ (document);
+        stream.on("error", (error) => {
+            request.destroy();
+            reject(error);
+        });
+        request.write(body);
+        stream.pipe(request);
+    });
+}
+
+/**
+ * Encode the request header and operation attributes.
+ *
+ * @param {number} operationId Operation id
+ * @param {number} requestId Request id
+ * @param {Array[]} attributes Operation attributes as [value tag, name, value], an array value for multiple values
+ * @return {Buffer}
+ */
+function encodeRequest(operationId, requestId, attributes) {
+    const header = Buffer.alloc(9);
+    IPP_VERSION.copy(header, 0);
+    header.writeUInt16BE(operationId, 2);
+    header.writeUInt32BE(requestId, 4);
+    header[8] = TAG_OPERATION_ATTRIBUTES;
+
+    const chunks = [header];
+    attributes.forEach(([tag, name, value]) => {
+        toArray(value).forEach((single, idx) => {
+            // Additional values of the same attribute have an empty name.
+            chunks.push(encodeValue(tag, idx === 0 ? name : "", single));
+        });
+    });
+    chunks.push(Buffer.from([TAG_END_OF_ATTRIBUTES]));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Encode one attribute value, only integer, boolean, enum and string types are needed for the requests.
+ *
+ * @param {number} tag Value tag
+ * @param {string} name Attribute name
+ * @param {number|boolean|string} value Value
+ * @return {Buffer}
+ */
+function encodeValue(tag, name, value) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    let valueBuffer;
+    if (tag === TAG_INTEGER || tag === TAG_ENUM) {
+        valueBuffer = Buffer.alloc(4);
+        valueBuffer.writeInt32BE(/** @type {number} */ (value), 0);
+    } else if (tag === TAG_BOOLEAN) {
+        valueBuffer = Buffer.from([value ? 1 : 0]);
+    } else {
+        valueBuffer = Buffer.from(`${value}`, "utf8");
+    }
+    const buffer = Buffer.alloc(5 + nameBuffer.length + valueBuffer.length);
+    buffer[0] = tag;
+    buffer.writeUInt16BE(nameBuffer.length, 1);
+    nameBuffer.copy(buffer, 3);
+    buffer.writeUInt16BE(valueBuffer.length, 3 + nameBuffer.length);
+    valueBuffer.copy(buffer, 5 + nameBuffer.length);
+    return buffer;
+}
+
+/**
+ * Decode a response into its status code and attribute groups.
+ * Every group is an object with the attributes by name, an attribute with multiple values has an array value.
+ *
+ * @param {Buffer} buffer Response body
+ * @return {{statusCode:number,operation:Object[],job:Object[],printer:Object[],unsupported:Object[]}}
+ */
+function decodeResponse(buffer) {
+    if (buffer.length < 9) {
+        throw new IppError(`Invalid IPP response of ${buffer.length} bytes`);
+    }
+    const response = {
+        statusCode: buffer.readUInt16BE(2),
+        operation: [],
+        job: [],
+        printer: [],
+        unsupported: [],
+    };
+    let offset = 8;
+    let group = {};
+    // Stack of the collections being decoded, the attributes of the innermost one receive the values.
+    const stack = [];
+    let name = "";
+
+    while (offset < buffer.length) {
+        const tag = buffer[offset++];
+        if (tag === TAG_END_OF_ATTRIBUTES) {
+            break;
+        }
+        if (tag < 0x10) {
+            // Delimiter tag, starts a new group.
+            group = {};
+            const groupName = GROUPS[tag];
+            if (groupName) {
+                response[groupName].push(group);
+            }
+            continue;
+        }
+        if (offset + 2 > buffer.length) {
+            throw new IppError("Invalid IPP response, attribute is truncated");
+        }
+        const nameLength = buffer.readUInt16BE(offset);
+        const valueOffset = offset + 2 + nameLength;
+        if (valueOffset + 2 > buffer.length) {
+            throw new IppError("Invalid IPP response, attribute is truncated");
+        }
+        const valueLength = buffer.readUInt16BE(valueOffset);
+        if (valueOffset + 2 + valueLength > buffer.length) {
+            throw new IppError("Invalid IPP response, attribute is truncated");
+        }
+        const attributeName = buffer.toString("utf8", offset + 2, valueOffset);
+        const value = buffer.subarray(valueOffset + 2, valueOffset + 2 + valueLength);
+        offset = valueOffset + 2 + valueLength;
+
+        const target = stack.length > 0 ? stack[stack.length - 1].members : group;
+        if (tag === TAG_MEMBER_ATTR_NAME) {
+            // The member name is the value, the member value follows as an attribute without name.
+            stack[stack.length - 1].name = value.toString("utf8");
+            continue;
+        }
+        if (tag === TAG_END_COLLECTION) {
+            const collection = stack.pop();
+            name = collection.attributeName;
+            const parent = stack.length > 0 ? stack[stack.length - 1].members : group;
+            addValue(parent, collection.attributeName, collection.members);
+            continue;
+        }
+        if (stack.length > 0) {
+            name = stack[stack.length - 1].name;
+        } else if (attributeName) {
+            name = attributeName;
+        }
+        if (tag === TAG_BEGIN_COLLECTION) {
+            stack.push({ attributeName: name, name: "", members: {} });
+            continue;
+        }
+        addValue(target, name, decodeValue(tag, value));
+    }
+    return response;
+}
+
+/**
+ * Decode one attribute value.
+ *
+ * @param {number} tag Value tag
+ * @param {Buffer} value Encoded value
+ * @return {any} Decoded value, out-of-band values like unknown and no-value are returned as null
+ */
+function decodeValue(tag, value) {
+    switch (tag) {
+        case TAG_INTEGER:
+        case TAG_ENUM:
+            return value.readInt32BE(0);
+        case TAG_BOOLEAN:
+            return value[0] !== 0;
+        case TAG_DATE_TIME: {
+            // Local time followed by the direction (+ or -) and the hours and minutes from UTC.
+            const local = Date.UTC(value.readUInt16BE(0), value[2] - 1, value[3], value[4], value[5], value[6]);
+            const offset = (value[8] === 0x2b ? 1 : -1) * (value[9] * 60 + value[10]) * 60000;
+            return new Date(local + value[7] * 100 - offset);
+        }
+        case TAG_RESOLUTION:
+            return { x: value.readInt32BE(0), y: value.readInt32BE(4), units: value[8] === 3 ? "dpi" : "dpcm" };
+        case TAG_RANGE_OF_INTEGER:
+            return { lower: value.readInt32BE(0), upper: value.readInt32BE(4) };
+        case TAG_TEXT_WITH_LANGUAGE:
+        case TAG_NAME_WITH_LANGUAGE: {
+            // Language length and language, followed by the text length and text.
+            const textOffset = 4 + value.readUInt16BE(0);
+            return value.toString("utf8", textOffset, textOffset + value.readUInt16BE(textOffset - 2));
+        }
+        default:
+            if (tag < 0x20) {
+                return null;
+            }
+            return tag >= 0x40 ? value.toString("utf8") : value;
+    }
+}
+
+/**
+ * Add a value to the attributes, the second value turns it into an array.
+ *
+ * @param {Object<string, any>} attributes Attributes by name
+ * @param {string} name Attribute name
+ * @param {any} value Value
+ */
+function addValue(attributes, name, value) {
+    if (!(name in attributes)) {
+        attributes[name] = value;
+    } else if (Array.isArray(attributes[name])) {
+        attributes[name].push(value);
+    } else {
+        attributes[name] = [attributes[name], value];
+    }
+}
+
+/**
+ * @param {any} value Value or array of values
+ * @return {any[]}
+ */
+function toArray(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Convert the printer URI to the URL the request is sent to: ipp is HTTP and ipps is HTTPS, both on port 631.
+ *
+ * @param {string} uri Printer URI
+ * @return {URL}
+ */
+function toHttpUrl(uri) {
+    const url = new URL(uri);
+    const schemes = { "ipp:": "http:", "ipps:": "https:", "http:": "http:", "https:": "https:" };
+    const protocol = schemes[url.protocol];
+    if (!protocol) {
+        throw new ConfigError(`Invalid printer URI "${uri}", the scheme should be ipp, ipps, http or https`);
+    }
+    const port = url.port || (url.protocol === "ipp:" || url.protocol === "ipps:" ? IPP_PORT : "");
+    return new URL(`${protocol}//${url.hostname}${port ? `:${port}` : ""}${url.pathname}${url.search}`);
+}
+
+/**
+ * Convert the printer URI to its ipp or ipps form, as printers expect it in the printer-uri attribute.
+ *
+ * @param {string} uri Printer URI
+ * @return {string}
+ */
+function toPrinterUri(uri) {
+    return uri.replace(/^http(s?):/i, "ipp$1:");
+}
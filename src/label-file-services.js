@@ -0,0 +1,484 @@
+import fs from "node:fs";
+import {
+    encodeCode128,
+    encodeCode39,
+    encodeCode39FullAscii,
+    encodeEan13,
+    encodeQrCode,
+    encodeUpcA,
+} from "./barcode-services.js";
+import { FONT_SIZES } from "./image-services.js";
+import { renderTemplate } from "./layout-services.js";
+import { findChild, findChildren, findPath, findText, parseXml } from "./xml-services.js";
+
+// Print resolution, dots per inch.
+const DPI = 300;
+// DYMO Label v8 files (.label) use twips, 1/1440 inch.
+const TWIPS_PER_INCH = 1440;
+const POINTS_PER_INCH = 72;
+
+// DYMO barcode types, mapped to the barcode types of createBarcodeImage().
+const BARCODE_TYPES = {
+    Code128Auto: "CODE128",
+    Code128A: "CODE128",
+    Code128B: "CODE128",
+    Code128C: "CODE128",
+    Code39: "CODE39",
+    Code39Full: "CODE39FULL",
+    Ean13: "EAN13",
+    UpcA: "UPCA",
+    QRCode: "QRCODE",
+};
+const BARCODE_ENCODERS = {
+    CODE128: encodeCode128,
+    CODE39: encodeCode39,
+    CODE39FULL: encodeCode39FullAscii,
+    EAN13: encodeEan13,
+    UPCA: encodeUpcA,
+};
+const ERROR_CORRECTION_LEVELS = { Low: "L", Medium: "M", Quartile: "Q", High: "H" };
+const HORIZONTAL_ALIGNMENTS = { Left: "LEFT", Center: "CENTER", Centre: "CENTER", Right: "RIGHT" };
+const VERTICAL_ALIGNMENTS = { Top: "TOP", Middle: "MIDDLE", Center: "MIDDLE", Bottom: "BOTTOM" };
+// Fit modes that shrink the text to the object bounds.
+const SHRINK_FIT_MODES = ["ShrinkToFit", "AlwaysFit"];
+
+/**
+ * @typedef {Object} LabelObject
+ * @property {string} name Object name, as shown in the DYMO software
+ * @property {string} type Object type; TEXT, BARCODE, QRCODE, IMAGE or SHAPE
+ * @property {{x:number,y:number,width:number,height:number}} bounds Position and size in dots
+ * @property {string} [text] Text of a text object, data of a barcode or QR code
+ * @property {number} [fontSize] Font size in pixels
+ * @property {string} [align] Horizontal alignment; LEFT, CENTER or RIGHT
+ * @property {string} [verticalAlign] Vertical alignment; TOP, MIDDLE or BOTTOM
+ * @property {boolean} [shrinkToFit] Shrink the text to fit the bounds
+ * @property {string} [barcodeType] Barcode type; CODE128, CODE39, CODE39FULL, EAN13 or UPCA
+ * @property {boolean} [showText] Show the barcode text underneath
+ * @property {string} [errorCorrection] QR code error correction level
+ * @property {Buffer} [image] Image data
+ * @property {string} [fit] Image fit; CONTAIN or STRETCH
+ * @property {string} [shapeType] Shape type; HorizontalLine, VerticalLine or Rectangle
+ * @property {number} [lineWidth] Line width in dots
+ * @property {boolean} [fill] Fill the shape
+ */
+
+/**
+ * A label designed with the DYMO desktop software, read from a DYMO Label v8 (.label) or DYMO Connect (.dymo) file.
+ * Object texts can be replaced by object name, like the setObjectText() of the DYMO SDK.
+ * Ellipses, date/time and counter objects are not supported and skipped.
+ */
+export class LabelDocument {
+    /**
+     * @private
+     * @type {LabelObject[]}
+     */
+    objects = [];
+
+    /**
+     * Create a label document from the contents of a .label or .dymo file.
+     *
+     * @param {string} xml File contents
+     */
+    constructor(xml) {
+        const root = parseXml(xml);
+        if (root.name === "DieCutLabel" || root.name === "ContinuousLabel") {
+            this.format = "LABEL";
+            this.parseLabelV8(root);
+        } else if (root.name === "DesktopLabel") {
+            this.format = "DYMO";
+            this.parseDymoConnect(root);
+        } else {
+            throw Error(`LabelDocument: unknown label file, root element "<${root.name}>"`);
+        }
+    }
+
+    /**
+     * Read a .label or .dymo file.
+     *
+     * @param {string} file Label file
+     * @return {Promise<LabelDocument>}
+     */
+    static load(file) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(file, { encoding: "utf8" }, (err, xml) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                try {
+                    resolve(new LabelDocument(xml));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the names of all (supported) objects on the label.
+     *
+     * @return {string[]} Object names
+     */
+    getObjectNames() {
+        return this.objects.map((object) => object.name);
+    }
+
+    /**
+     * Get the text of a text object, or the data of a barcode or QR code.
+     *
+     * @param {string} name Object name
+     * @return {string} Text
+     */
+    getObjectText(name) {
+        return this.getObject(name).text || "";
+    }
+
+    /**
+     * Replace the text of a text object, or the data of a barcode or QR code.
+     *
+     * @param {string} name Object name
+     * @param {string} text New text
+     * @return {LabelDocument} This document, for chaining
+     */
+    setObjectText(name, text) {
+        const object = this.getObject(name);
+        if (["TEXT", "BARCODE", "QRCODE"].indexOf(object.type) === -1) {
+            throw Error(`setObjectText(): object "${name}" of type ${object.type} has no text`);
+        }
+        object.text = `${text}`;
+        return this;
+    }
+
+    /**
+     * Convert the label to a template for renderTemplate().
+     *
+     * @return {import("./layout-services.js").LabelTemplate} Template
+     */
+    toTemplate() {
+        const elements = [];
+        this.objects.forEach((object) => {
+            const { x, y, width, height } = object.bounds;
+            if (object.type === "TEXT") {
+                elements.push({
+                    type: "text",
+                    x,
+                    y,
+                    width,
+                    height,
+                    text: object.text,
+                    fontSize: object.fontSize,
+                    align: object.align,
+                    verticalAlign: object.verticalAlign,
+                    shrinkToFit: object.shrinkToFit,
+                });
+            } else if (object.type === "BARCODE" && object.text) {
+                // Use the widest whole number of dots per module that fits the bounds.
+                const barcodeType = /** @type {string} */ (object.barcodeType);
+                const modules = BARCODE_ENCODERS[barcodeType](object.text).modules.length;
+                const textHeight = object.showText ? Math.min(20, Math.floor(height / 4)) : 0;
+                elements.push({
+                    type: "barcode",
+                    x,
+                    y,
+                    barcodeType,
+                    data: object.text,
+                    moduleWidth: Math.max(1, Math.floor(width / modules)),
+                    height: Math.max(1, height - textHeight),
+                    showText: object.showText,
+                });
+            } else if (object.type === "QRCODE" && object.text) {
+                const modules = encodeQrCode(object.text, object.errorCorrection).length;
+                const moduleSize = Math.max(1, Math.floor(Math.min(width, height) / modules));
+                elements.push({
+                    type: "qrcode",
+                    x: x + Math.floor((width - modules * moduleSize) / 2),
+                    y: y + Math.floor((height - modules * moduleSize) / 2),
+                    data: object.text,
+                    moduleSize,
+                    errorCorrection: object.errorCorrection,
+                });
+            } else if (object.type === "IMAGE" && object.image) {
+                elements.push({ type: "image", x, y, width, height, src: object.image, fit: object.fit });
+            } else if (object.type === "SHAPE") {
+                const thickness = Math.max(1, object.lineWidth || 1);
+                if (object.shapeType === "HorizontalLine") {
+                    const lineY = y + Math.floor(height / 2);
+                    elements.push({ type: "line", x1: x, y1: lineY, x2: x + width - 1, y2: lineY, thickness });
+                } else if (object.shapeType === "VerticalLine") {
+                    const lineX = x + Math.floor(width / 2);
+                    elements.push({ type: "line", x1: lineX, y1: y, x2: lineX, y2: y + height - 1, thickness });
+                } else {
+                    elements.push({ type: "rectangle", x, y, width, height, thickness, fill: object.fill });
+                }
+            }
+        });
+        return { width: this.width, height: this.height, elements };
+    }
+
+    /**
+     * Render the label into an image that DymoServices.print() can print.
+     *
+     * @return {Promise<import("jimp")>} Image in the orientation of the label
+     */
+    render() {
+        // The barcode encoders throw on invalid data, the caller gets a rejected promise.
+        return Promise.resolve().then(() => renderTemplate(this.toTemplate()));
+    }
+
+    /**
+     * @private
+     *
+     * Find an object by name.
+     *
+     * @param {string} name Object name
+     * @return {LabelObject} Object
+     */
+    getObject(name) {
+        const object = this.objects.find((candidate) => candidate.name === name);
+        if (!object) {
+            throw Error(`LabelDocument: unknown object "${name}", objects are: ${this.getObjectNames().join(", ")}`);
+        }
+        return object;
+    }
+
+    /**
+     * @private
+     *
+     * Parse a DYMO Label v8 (.label) file, with dimensions in twips.
+     *
+     * @param {import("./xml-services.js").XmlNode} root Root element
+     */
+    parseLabelV8(root) {
+        const toDots = (twips) => Math.round((toNumber(twips) * DPI) / TWIPS_PER_INCH);
+        this.paperName = findText(root, "PaperName") || "";
+
+        // The paper is described in portrait orientation, the objects in the orientation of the label.
+        const drawCommands = findChild(root, "DrawCommands");
+        const paper = drawCommands && drawCommands.children[0];
+        const paperWidth = toDots(paper && paper.attributes.Width);
+        const paperHeight = toDots(paper && paper.attributes.Height);
+        const landscape = findText(root, "PaperOrientation") === "Landscape";
+        this.width = landscape ? Math.max(paperWidth, paperHeight) : paperWidth;
+        this.height = landscape ? Math.min(paperWidth, paperHeight) : paperHeight;
+
+        findChildren(root, "ObjectInfo").forEach((info) => {
+            const node = info.children.find((child) => child.name !== "Bounds");
+            const boundsNode = findChild(info, "Bounds");
+            if (!node || !boundsNode) {
+                return;
+            }
+            const { X, Y, Width, Height } = boundsNode.attributes;
+            const base = {
+                name: findText(node, "Name") || "",
+                bounds: { x: toDots(X), y: toDots(Y), width: toDots(Width), height: toDots(Height) },
+            };
+
+            if (node.name === "TextObject" || node.name === "AddressObject") {
+                const elements = findChildren(findChild(node, "StyledText"), "Element");
+                const text = elements.length
+                    ? elements.map((element) => rawText(element, "String")).join("")
+                    : rawText(node, "Text");
+                const font = findPath(elements[0], "Attributes", "Font") || findChild(node, "Font");
+                this.objects.push({
+                    ...base,
+                    type: "TEXT",
+                    text: text.replace(/\r\n/g, "\n"),
+                    fontSize: fontSizeInPixels(Number((font && font.attributes.Size) || 12)),
+                    align: HORIZONTAL_ALIGNMENTS[findText(node, "HorizontalAlignment") || ""] || "LEFT",
+                    verticalAlign: VERTICAL_ALIGNMENTS[findText(node, "VerticalAlignment") || ""] || "TOP",
+                    shrinkToFit: SHRINK_FIT_MODES.indexOf(findText(node, "TextFitMode") || "") !== -1,
+                });
+            } else if (node.name === "BarcodeObject") {
+                this.pushBarcode(base, node, findText(node, "Type"), findText(node, "Text"));
+            } else if (node.name === "QRCodeObject") {
+                this.pushBarcode(base, node, "QRCode", findText(node, "Text") || findText(node, "Data", "DataString"));
+            } else if (node.name === "ImageObject") {
+                this.pushImage(base, findText(node, "Image"), findText(node, "ScaleMode"));
+            } else if (node.name === "ShapeObject") {
+                this.pushShape(base, findText(node, "ShapeType"), toDots(findText(node, "LineWidth")), node);
+            }
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Parse a DYMO Connect (.dymo) file, with dimensions in inches.
+     *
+     * @param {import("./xml-services.js").XmlNode} root Root element
+     */
+    parseDymoConnect(root) {
+        const toDots = (inches) => Math.round(toNumber(inches) * DPI);
+        const label = findChild(root, "DYMOLabel");
+        this.paperName = findText(label, "LabelName") || "";
+
+        // The printable area, the label is assumed to have equal margins on both sides.
+        const rect = findChild(label, "DYMORect");
+        const x = toNumber(findText(rect, "DYMOPoint", "X"));
+        const y = toNumber(findText(rect, "DYMOPoint", "Y"));
+        this.width = toDots(2 * x + toNumber(findText(rect, "Size", "Width")));
+        this.height = toDots(2 * y + toNumber(findText(rect, "Size", "Height")));
+
+        const labelObjects = findPath(label, "DynamicLayoutManager", "LabelObjects");
+        (labelObjects ? labelObjects.children : []).forEach((node) => {
+            const layout = findChild(node, "ObjectLayout");
+            const base = {
+                name: findText(node, "Name") || "",
+                bounds: {
+                    x: toDots(findText(layout, "DYMOPoint", "X")),
+                    y: toDots(findText(layout, "DYMOPoint", "Y")),
+                    width: toDots(findText(layout, "Size", "Width")),
+                    height: toDots(findText(layout, "Size", "Height")),
+                },
+            };
+
+            if (node.name === "TextObject") {
+                const formattedText = findChild(node, "FormattedText");
+                const lines = findChildren(formattedText, "LineTextSpan").map((line) =>
+                    findChildren(line, "TextSpan")
+                        .map((span) => rawText(span, "Text"))
+                        .join("")
+                );
+                const fontSize = findText(formattedText, "LineTextSpan", "TextSpan", "FontInfo", "FontSize");
+                this.objects.push({
+                    ...base,
+                    type: "TEXT",
+                    text: lines.join("\n").replace(/\r\n/g, "\n"),
+                    fontSize: fontSizeInPixels(Number(fontSize || 12)),
+                    align: HORIZONTAL_ALIGNMENTS[findText(node, "HorizontalAlignment") || ""] || "LEFT",
+                    verticalAlign: VERTICAL_ALIGNMENTS[findText(node, "VerticalAlignment") || ""] || "TOP",
+                    shrinkToFit: SHRINK_FIT_MODES.indexOf(findText(node, "FitMode") || "") !== -1,
+                });
+            } else if (node.name === "BarcodeObject") {
+                this.pushBarcode(base, node, findText(node, "Type"), findText(node, "Text"));
+            } else if (node.name === "QRCodeObject") {
+                const data =
+                    findText(node, "Data", "DataString") || findText(node, "TextDataHolder", "Value") || "";
+                this.pushBarcode(base, node, "QRCode", data);
+            } else if (node.name === "ImageObject") {
+                this.pushImage(base, findText(node, "Data") || findText(node, "Image"), findText(node, "ScaleMode"));
+            } else if (node.name === "ShapeObject") {
+                const lineWidth = Math.round((toNumber(findText(node, "LineWidth") || 1) * DPI) / POINTS_PER_INCH);
+                this.pushShape(base, findText(node, "ShapeType"), lineWidth, node);
+            }
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Add a barcode or QR code object, unsupported barcode types are skipped.
+     *
+     * @param {{name:string,bounds:{x:number,y:number,width:number,height:number}}} base Name and bounds
+     * @param {import("./xml-services.js").XmlNode} node Barcode element
+     * @param {string|undefined} dymoType DYMO barcode type
+     * @param {string|undefined} text Barcode data
+     */
+    pushBarcode(base, node, dymoType, text) {
+        const barcodeType = BARCODE_TYPES[dymoType || ""];
+        if (!barcodeType) {
+            return;
+        }
+        if (barcodeType === "QRCODE") {
+            const level = findText(node, "ErrorCorrectionLevel") || findText(node, "ECLevel") || "";
+            this.objects.push({
+                ...base,
+                type: "QRCODE",
+                text: text || "",
+                errorCorrection: ERROR_CORRECTION_LEVELS[level] || "M",
+            });
+            return;
+        }
+        this.objects.push({
+            ...base,
+            type: "BARCODE",
+            text: text || "",
+            barcodeType,
+            showText: (findText(node, "TextPosition") || "Bottom") !== "None",
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Add an image object, the image is stored base64 encoded.
+     *
+     * @param {{name:string,bounds:{x:number,y:number,width:number,height:number}}} base Name and bounds
+     * @param {string|undefined} base64 Image data
+     * @param {string|undefined} scaleMode DYMO scale mode
+     */
+    pushImage(base, base64, scaleMode) {
+        if (!base64) {
+            return;
+        }
+        this.objects.push({
+            ...base,
+            type: "IMAGE",
+            image: Buffer.from(base64.replace(/\s+/g, ""), "base64"),
+            fit: scaleMode === "Fill" ? "STRETCH" : "CONTAIN",
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Add a shape object, ellipses are not supported and skipped.
+     *
+     * @param {{name:string,bounds:{x:number,y:number,width:number,height:number}}} base Name and bounds
+     * @param {string|undefined} shapeType DYMO shape type
+     * @param {number} lineWidth Line width in dots
+     * @param {import("./xml-services.js").XmlNode} node Shape element
+     */
+    pushShape(base, shapeType, lineWidth, node) {
+        if (["HorizontalLine", "VerticalLine", "Rectangle"].indexOf(shapeType || "") === -1) {
+            return;
+        }
+        const fillColor = findChild(node, "FillColor");
+        const fillMode = findText(node, "FillMode");
+        this.objects.push({
+            ...base,
+            type: "SHAPE",
+            shapeType,
+            lineWidth,
+            fill: fillMode ? fillMode !== "None" : !!fillColor && fillColor.attributes.Alpha !== "0",
+        });
+    }
+}
+
+/**
+ * Get the untrimmed text of the child element at the end of the path, so spaces between text spans are kept.
+ *
+ * @param {import("./xml-services.js").XmlNode|undefined} node Start element
+ * @param {...string} names Child element names
+ * @return {string} Text, or an empty string if the element does not exist
+ */
+function rawText(node, ...names) {
+    const found = findPath(node, ...names);
+    return found ? found.text : "";
+}
+
+/**
+ * Convert a dimension of the label file to a number, a missing dimension is 0.
+ * Throw error if it is not a number, positions and sizes are used to draw the label.
+ *
+ * @param {string|undefined} value Dimension
+ * @return {number} Dimension
+ */
+function toNumber(value) {
+    const number = Number(value || 0);
+    if (!Number.isFinite(number)) {
+        throw Error(`LabelDocument: invalid dimension "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Convert a font size in points to the largest supported font size in pixels.
+ *
+ * @param {number} points Font size in points
+ * @return {number} Font size in pixels
+ */
+function fontSizeInPixels(points) {
+    const pixels = (points * DPI) / POINTS_PER_INCH;
+    return FONT_SIZES.filter((size) => size <= pixels).pop() || FONT_SIZES[0];
+}
@@ -0,0 +1,153 @@
+// Catalogue of DYMO LabelWriter labels.
+// Label dimensions are given in landscape orientation: the width is measured along the feed direction, the height
+// across the print head. The printable area is the label minus the margins the printer cannot print on.
+
+import { ConfigError } from "./errors.js";
+
+// Resolution of the LabelWriter print head, dots per inch.
+const LABEL_DPI = 300;
+// Margin across the print head, on both sides of the label (mm).
+const MARGIN_ACROSS_MM = 1.5;
+// Margin along the feed direction, at the start and at the end of the label (mm).
+const MARGIN_ALONG_MM = 3.5;
+
+export const LABEL_TYPE_ADDRESS = "ADDRESS";
+export const LABEL_TYPE_SHIPPING = "SHIPPING";
+export const LABEL_TYPE_FILE_FOLDER = "FILE_FOLDER";
+export const LABEL_TYPE_NAME_BADGE = "NAME_BADGE";
+export const LABEL_TYPE_MULTI_PURPOSE = "MULTI_PURPOSE";
+export const LABEL_TYPE_CONTINUOUS = "CONTINUOUS";
+export const LABEL_TYPE_ROUND = "ROUND";
+
+/**
+ * @typedef {Object} DymoLabel
+ * @property {string} title Human readable title
+ * @property {string} partNumber DYMO part number
+ * @property {string} type Label type (ADDRESS, SHIPPING, FILE_FOLDER, NAME_BADGE, MULTI_PURPOSE, CONTINUOUS, ROUND)
+ * @property {number} widthMm Label width along the feed direction (mm), for continuous labels the default length
+ * @property {number} heightMm Label height across the print head (mm)
+ * @property {number} printableWidthMm Printable width (mm)
+ * @property {number} printableHeightMm Printable height (mm)
+ * @property {number} dpi Print resolution, dots per inch
+ * @property {number} imageWidth Printable width in pixels (landscape image width)
+ * @property {number} imageHeight Printable height in pixels (landscape image height)
+ */
+
+/**
+ * Convert millimetres to printer dots.
+ *
+ * @param {number} mm Length in millimetres
+ * @param {number} [dpi] Dots per inch (defaults to 300)
+ * @return {number} Length in dots, rounded down
+ */
+export function mmToDots(mm, dpi = LABEL_DPI) {
+    return Math.floor((mm / 25.4) * dpi);
+}
+
+/**
+ * Create a catalogue entry and calculate its printable area.
+ *
+ * @param {string} partNumber DYMO part number
+ * @param {string} title Human readable title
+ * @param {string} type Label type
+ * @param {number} widthMm Label width along the feed direction (mm)
+ * @param {number} heightMm Label height across the print head (mm)
+ * @return {DymoLabel} Label
+ */
+function label(partNumber, title, type, widthMm, heightMm) {
+    // Continuous labels have no start and end, so they can be printed along the full length.
+    const marginAlong = type === LABEL_TYPE_CONTINUOUS ? 0 : MARGIN_ALONG_MM;
+    const printableWidthMm = widthMm - 2 * marginAlong;
+    const printableHeightMm = heightMm - 2 * MARGIN_ACROSS_MM;
+    return Object.freeze({
+        title,
+        partNumber,
+        type,
+        widthMm,
+        heightMm,
+        printableWidthMm,
+        printableHeightMm,
+        dpi: LABEL_DPI,
+        imageWidth: mmToDots(printableWidthMm),
+        imageHeight: mmToDots(printableHeightMm),
+    });
+}
+
+/**
+ * Create the entry of a backwards compatible size key: the catalogue label with the image size callers rely on.
+ *
+ * @param {DymoLabel} catalogueLabel Catalogue label of the same size
+ * @param {string} title Title of the size key
+ * @param {number} imageWidth Image width in pixels
+ * @param {number} imageHeight Image height in pixels
+ * @return {DymoLabel} Label
+ */
+function legacyLabel(catalogueLabel, title, imageWidth, imageHeight) {
+    return Object.freeze({ ...catalogueLabel, title, imageWidth, imageHeight });
+}
+
+const LABEL_99010 = label("99010", "Standard address, 89mm x 28mm", LABEL_TYPE_ADDRESS, 89, 28);
+const LABEL_99012 = label("99012", "Large address, 89mm x 36mm", LABEL_TYPE_ADDRESS, 89, 36);
+const LABEL_11352 = label("11352", "Return address, 54mm x 25mm", LABEL_TYPE_ADDRESS, 54, 25);
+
+/**
+ * All known labels, by part number.
+ * The size keys ("89mm x 28mm", "89mm x 36mm" and "54mm x 25mm") are kept for backwards compatibility.
+ *
+ * @type {Object<string, DymoLabel>}
+ */
+export const DYMO_LABELS = Object.freeze({
+    // Address labels.
+    99010: LABEL_99010,
+    99012: LABEL_99012,
+    11352: LABEL_11352,
+    30252: label("30252", "Address, 3-1/2in x 1-1/8in", LABEL_TYPE_ADDRESS, 89, 28),
+    30330: label("30330", "Return address, 2in x 3/4in", LABEL_TYPE_ADDRESS, 51, 19),
+    // Shipping labels.
+    99014: label("99014", "Shipping, 101mm x 54mm", LABEL_TYPE_SHIPPING, 101, 54),
+    30256: label("30256", "Shipping, 4in x 2-5/16in", LABEL_TYPE_SHIPPING, 102, 59),
+    // Extra large shipping labels need the wide print head of the LabelWriter 4XL.
+    1744907: label("1744907", "Extra large shipping, 4in x 6in", LABEL_TYPE_SHIPPING, 159, 104),
+    // File folder labels.
+    99017: label("99017", "Suspension file, 50mm x 12mm", LABEL_TYPE_FILE_FOLDER, 50, 12),
+    99019: label("99019", "Lever arch file, 190mm x 59mm", LABEL_TYPE_FILE_FOLDER, 190, 59),
+    30327: label("30327", "File folder, 3-7/16in x 9/16in", LABEL_TYPE_FILE_FOLDER, 87, 14),
+    // Name badge labels.
+    11356: label("11356", "Name badge, 89mm x 41mm", LABEL_TYPE_NAME_BADGE, 89, 41),
+    30857: label("30857", "Name badge, 4in x 2-1/4in", LABEL_TYPE_NAME_BADGE, 102, 57),
+    // Multi-purpose labels.
+    11353: label("11353", "Multi-purpose, 25mm x 13mm", LABEL_TYPE_MULTI_PURPOSE, 25, 13),
+    11354: label("11354", "Multi-purpose, 57mm x 32mm", LABEL_TYPE_MULTI_PURPOSE, 57, 32),
+    11355: label("11355", "Multi-purpose, 51mm x 19mm", LABEL_TYPE_MULTI_PURPOSE, 51, 19),
+    99015: label("99015", "Multi-purpose, 70mm x 54mm", LABEL_TYPE_MULTI_PURPOSE, 70, 54),
+    30332: label("30332", "Square multi-purpose, 1in x 1in", LABEL_TYPE_MULTI_PURPOSE, 25, 25),
+    // Continuous labels, the width is the default length of one label.
+    30270: label("30270", "Continuous receipt paper, 57mm", LABEL_TYPE_CONTINUOUS, 100, 57),
+    // Round labels, the printable area is the bounding square of the circle.
+    30854: label("30854", "Round, 2-1/4in", LABEL_TYPE_ROUND, 57, 57),
+    // Backwards compatible size keys, with the image sizes of the earlier releases.
+    "89mm x 28mm": legacyLabel(LABEL_99010, "89mm x 28mm", 964, 300),
+    "89mm x 36mm": legacyLabel(LABEL_99012, "89mm x 36mm", 964, 390),
+    "54mm x 25mm": legacyLabel(LABEL_11352, "54mm x 25mm", 584, 270),
+});
+
+/**
+ * Find a label by part number or key.
+ * Label objects are returned as is, so callers can pass either a key or a (custom) label.
+ *
+ * @param {string|DymoLabel} labelOrKey Label key, part number or label object
+ * @return {DymoLabel} Label
+ */
+export function findLabel(labelOrKey) {
+    if (labelOrKey && typeof labelOrKey === "object") {
+        if (!Number.isInteger(labelOrKey.imageWidth) || !Number.isInteger(labelOrKey.imageHeight)) {
+            throw new ConfigError("findLabel(): label should have an integer imageWidth and imageHeight");
+        }
+        return labelOrKey;
+    }
+    const found = DYMO_LABELS[`${labelOrKey}`];
+    if (!found) {
+        throw new ConfigError(`findLabel(): unknown label "${labelOrKey}"`);
+    }
+    return found;
+}
@@ -0,0 +1,335 @@
+import Jimp from "jimp";
+import fs from "node:fs";
+import { createBarcodeImage, createQrCodeImage, printText } from "./image-services.js";
+import { findLabel } from "./labels.js";
+
+// Placeholder syntax, {{name}} or {{nested.name}}.
+const PLACEHOLDER = /{{\s*([\w.-]+)\s*}}/g;
+const ELEMENT_TYPES = ["text", "image", "line", "rectangle", "barcode", "qrcode"];
+// Positions and sizes of the elements, they should be numbers after the data is bound.
+const NUMERIC_PROPERTIES = ["x", "y", "width", "height", "x1", "y1", "x2", "y2", "thickness"];
+const COLORS = { BLACK: 0x000000ff, WHITE: 0xffffffff };
+
+/**
+ * @typedef {Object} LabelTemplate
+ * @property {string|import("./labels.js").DymoLabel} [label] Label the image is sized for (key from DYMO_LABELS)
+ * @property {number} [width] Image width in pixels, when no label is given
+ * @property {number} [height] Image height in pixels, when no label is given
+ * @property {TemplateElement[]} elements Elements, drawn in order
+ */
+
+/**
+ * @typedef {Object} TemplateElement
+ * @property {string} type Element type; text, image, line, rectangle, barcode or qrcode
+ * @property {number} [x] Left position in pixels (text, image, rectangle, barcode, qrcode)
+ * @property {number} [y] Top position in pixels (text, image, rectangle, barcode, qrcode)
+ * @property {number} [width] Width in pixels (text, image, rectangle)
+ * @property {number} [height] Height in pixels (text, image, rectangle), bar height (barcode)
+ * @property {number} [x1] Start of the line
+ * @property {number} [y1] Start of the line
+ * @property {number} [x2] End of the line
+ * @property {number} [y2] End of the line
+ * @property {number} [thickness] Line thickness in pixels (line, rectangle), defaults to 1
+ * @property {boolean} [fill] Fill the rectangle
+ * @property {string} [color] BLACK (default) or WHITE (line, rectangle)
+ * @property {string} [text] Text (text)
+ * @property {number} [fontSize] Font size (text, barcode, qrcode)
+ * @property {string|Buffer} [font] TrueType, OpenType or BMFont file (text)
+ * @property {boolean} [bold] Synthetic bold (text)
+ * @property {boolean} [italic] Synthetic italic (text)
+ * @property {number} [letterSpacing] Extra space between characters in pixels (text)
+ * @property {number} [lineHeight] Line height relative to the natural line height of the font (text)
+ * @property {string} [align] LEFT, CENTER or RIGHT (text)
+ * @property {string} [verticalAlign] TOP, MIDDLE or BOTTOM (text)
+ * @property {boolean} [wrap] Wrap the text (text), defaults to true
+ * @property {boolean} [shrinkToFit] Use a smaller font when the text does not fit (text)
+ * @property {string|Buffer|Jimp} [src] Image file, buffer or Jimp image (image)
+ * @property {string} [fit] CONTAIN (default), COVER or STRETCH (image)
+ * @property {string} [barcodeType] CODE128, CODE39, CODE39FULL, EAN13 or UPCA (barcode)
+ * @property {string} [data] Data to encode (barcode, qrcode)
+ * @property {number} [moduleWidth] Width of the narrowest bar in dots (barcode)
+ * @property {number} [moduleSize] Size of a module in dots (qrcode)
+ * @property {string} [errorCorrection] L, M, Q or H (qrcode)
+ * @property {boolean} [showText] Print the human readable text underneath (barcode, qrcode)
+ */
+
+/**
+ * Read a template from a JSON file.
+ *
+ * @param {string} file JSON file
+ * @return {Promise<LabelTemplate>}
+ */
+export function loadTemplate(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, { encoding: "utf8" }, (err, json) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            try {
+                resolve(JSON.parse(json));
+            } catch (e) {
+                reject(Error(`loadTemplate(): invalid JSON in "${file}": ${e.message}`));
+            }
+        });
+    });
+}
+
+/**
+ * Replace the {{placeholders}} in the value with the data.
+ * A value that is exactly one placeholder is replaced by the data value as is, so images can be bound as well.
+ * Nested values are supported ({{customer.name}}), missing values are replaced by an empty string.
+ *
+ * @param {any} value Template value
+ * @param {Object} data Data to bind
+ * @return {any} Bound value
+ */
+export function bindData(value, data) {
+    if (typeof value !== "string") {
+        return value;
+    }
+    /**
+     * @param {string} path Dotted path
+     * @return {any} Data value or undefined
+     */
+    const lookup = (path) =>
+        path.split(".").reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), data);
+
+    const single = /^{{\s*([\w.-]+)\s*}}$/.exec(value);
+    if (single) {
+        const found = lookup(single[1]);
+        return found === undefined || found === null ? "" : found;
+    }
+    return value.replace(PLACEHOLDER, (_match, path) => {
+        const found = lookup(path);
+        return found === undefined || found === null ? "" : `${found}`;
+    });
+}
+
+/**
+ * Render the template into an image sized for the label.
+ *
+ * @param {LabelTemplate|string} template Template, or JSON file containing the template
+ * @param {Object} [data] Data for the {{placeholders}}
+ * @return {Promise<Jimp>} Image in landscape orientation
+ */
+export function renderTemplate(template, data = {}) {
+    if (typeof template === "string") {
+        return loadTemplate(template).then((loaded) => renderTemplate(loaded, data));
+    }
+    return new Promise((resolve, reject) => {
+        if (!template || !Array.isArray(template.elements)) {
+            throw Error("renderTemplate(): template should have an array of elements");
+        }
+        let width = template.width;
+        let height = template.height;
+        if (template.label) {
+            const label = findLabel(template.label);
+            width = label.imageWidth;
+            height = label.imageHeight;
+        }
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            throw Error("renderTemplate(): template should have a label, or a positive integer width and height");
+        }
+        template.elements.forEach((element, i) => {
+            if (!element || ELEMENT_TYPES.indexOf(element.type) === -1) {
+                throw Error(
+                    `renderTemplate(): element ${i} has an invalid type "${element && element.type}", ` +
+                        `valid types are: ${ELEMENT_TYPES.join(", ")}`
+                );
+            }
+        });
+
+        const image = new Jimp(width, height, 0xffffffff);
+        // Draw the elements one after another, later elements are drawn on top.
+        template.elements
+            .reduce(
+                (previous, element, i) => previous.then(() => drawElement(image, bindElement(element, data), i)),
+                Promise.resolve()
+            )
+            .then(() => resolve(image))
+            .catch(reject);
+    });
+}
+
+/**
+ * Bind the data to all properties of the element.
+ *
+ * @param {TemplateElement} element Template element
+ * @param {Object} data Data to bind
+ * @return {TemplateElement} Element with bound values
+ */
+function bindElement(element, data) {
+    const bound = {};
+    Object.keys(element).forEach((key) => (bound[key] = bindData(element[key], data)));
+    return /** @type {TemplateElement} */ (bound);
+}
+
+/**
+ * Draw one element on the image.
+ *
+ * @param {Jimp} image Label image
+ * @param {TemplateElement} element Element with bound values
+ * @param {number} index Position of the element in the template, for error messages
+ * @return {Promise<any>}
+ */
+function drawElement(image, element, index) {
+    NUMERIC_PROPERTIES.forEach((name) => {
+        const value = element[name];
+        if (value !== undefined && (typeof value !== "number" || !Number.isFinite(value))) {
+            throw Error(`renderTemplate(): element ${index} (${element.type}) has an invalid ${name}: "${value}"`);
+        }
+    });
+    const { x = 0, y = 0 } = element;
+    if (element.type === "text") {
+        return printText(
+            image,
+            `${element.text === undefined ? "" : element.text}`,
+            { x, y, width: element.width || image.bitmap.width - x, height: element.height || image.bitmap.height - y },
+            {
+                fontSize: element.fontSize,
+                font: element.font,
+                bold: element.bold,
+                italic: element.italic,
+                letterSpacing: element.letterSpacing,
+                lineHeight: element.lineHeight,
+                align: element.align,
+                verticalAlign: element.verticalAlign,
+                wrap: element.wrap,
+                shrinkToFit: element.shrinkToFit,
+            }
+        );
+    }
+    if (element.type === "image") {
+        const source = element.src instanceof Jimp ? Promise.resolve(element.src.clone()) : Jimp.read(element.src);
+        return source.then((picture) => {
+            const width = element.width || picture.bitmap.width;
+            const height = element.height || picture.bitmap.height;
+            const align = Jimp.HORIZONTAL_ALIGN_CENTER | Jimp.VERTICAL_ALIGN_MIDDLE;
+            picture.background(0xffffffff);
+            if (element.fit === "COVER") {
+                picture.cover(width, height, align);
+            } else if (element.fit === "STRETCH") {
+                picture.resize(width, height);
+            } else {
+                picture.contain(width, height, align);
+            }
+            image.composite(picture, x, y);
+        });
+    }
+    if (element.type === "line") {
+        drawLine(image, element.x1, element.y1, element.x2, element.y2, element.thickness || 1, colorOf(element));
+        return Promise.resolve();
+    }
+    if (element.type === "rectangle") {
+        const { width = 0, height = 0, thickness = 1 } = element;
+        const color = colorOf(element);
+        if (element.fill) {
+            fillRectangle(image, x, y, width, height, color);
+        } else {
+            fillRectangle(image, x, y, width, thickness, color);
+            fillRectangle(image, x, y + height - thickness, width, thickness, color);
+            fillRectangle(image, x, y, thickness, height, color);
+            fillRectangle(image, x + width - thickness, y, thickness, height, color);
+        }
+        return Promise.resolve();
+    }
+    if (element.data === undefined || element.data === null || element.data === "") {
+        // Missing data would otherwise be encoded as the text "undefined", or fail in the encoder.
+        throw Error(`renderTemplate(): element ${index} (${element.type}) has no data`);
+    }
+    if (element.type === "barcode") {
+        return createBarcodeImage(/** @type {string} */ (element.barcodeType), `${element.data}`, {
+            moduleWidth: element.moduleWidth,
+            height: element.height,
+            text: element.showText,
+            fontSize: element.fontSize,
+            quietZone: 0,
+        }).then((barcode) => image.composite(barcode, x, y));
+    }
+    return createQrCodeImage(`${element.data}`, {
+        moduleSize: element.moduleSize,
+        errorCorrection: element.errorCorrection,
+        text: element.showText,
+        fontSize: element.fontSize,
+        quietZone: 0,
+    }).then((qrCode) => image.composite(qrCode, x, y));
+}
+
+/**
+ * Get the color of the element.
+ *
+ * @param {TemplateElement} element Template element
+ * @return {number} RGBA color
+ */
+function colorOf(element) {
+    const color = COLORS[element.color || "BLACK"];
+    if (color === undefined) {
+        throw Error(`renderTemplate(): invalid color "${element.color}", valid colors are: BLACK, WHITE`);
+    }
+    return color;
+}
+
+/**
+ * Fill a rectangle, clipped to the image.
+ *
+ * @param {Jimp} image Label image
+ * @param {number} x Left position
+ * @param {number} y Top position
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} color RGBA color
+ */
+function fillRectangle(image, x, y, width, height, color) {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(image.bitmap.width, Math.round(x + width));
+    const bottom = Math.min(image.bitmap.height, Math.round(y + height));
+    if (right <= left || bottom <= top) {
+        return;
+    }
+    image.scan(left, top, right - left, bottom - top, (_x, _y, idx) => {
+        image.bitmap.data.writeUInt32BE(color, idx);
+    });
+}
+
+/**
+ * Draw a line with Bresenham's algorithm, using a square pen of the given thickness.
+ *
+ * @param {Jimp} image Label image
+ * @param {number} x1 Start position
+ * @param {number} y1 Start position
+ * @param {number} x2 End position
+ * @param {number} y2 End position
+ * @param {number} thickness Line thickness in pixels
+ * @param {number} color RGBA color
+ */
+function drawLine(image, x1 = 0, y1 = 0, x2 = 0, y2 = 0, thickness, color) {
+    let x = Math.round(x1);
+    let y = Math.round(y1);
+    const endX = Math.round(x2);
+    const endY = Math.round(y2);
+    const dx = Math.abs(endX - x);
+    const dy = -Math.abs(endY - y);
+    const stepX = x < endX ? 1 : -1;
+    const stepY = y < endY ? 1 : -1;
+    const offset = Math.floor(thickness / 2);
+    let error = dx + dy;
+    // Every step moves along the longest axis, so the line ends after this many points.
+    const points = Math.max(dx, -dy) + 1;
+    for (let i = 0; i < points; i++) {
+        fillRectangle(image, x - offset, y - offset, thickness, thickness, color);
+        if (x === endX && y === endY) {
+            break;
+        }
+        const error2 = 2 * error;
+        if (error2 >= dy) {
+            error += dy;
+            x += stepX;
+        }
+        if (error2 <= dx) {
+            error += dx;
+            y += stepY;
+        }
+    }
+}
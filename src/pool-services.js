@@ -0,0 +1,438 @@
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import { ConfigError, PrinterNotFoundError } from "./errors.js";
+import { findLabel } from "./labels.js";
+import { loadTemplate, renderTemplate } from "./layout-services.js";
+
+// Error codes of failures that another printer may not have: the printer cannot be reached, is out of labels, jammed
+// or busy. Invalid options and images fail on every printer.
+const FAILOVER_ERROR_CODES = ["TRANSPORT", "TIMEOUT", "PRINTER_STATUS", "PRINTER_NOT_FOUND", "IPP_STATUS"];
+
+/**
+ * @typedef {function(import("./dymo-services.js").PrinterConfig):import("./dymo-services.js").DymoServices}
+ *          ServicesFactory
+ */
+
+/**
+ * @typedef {Object} PoolPrinterConfig
+ * @property {string} name Unique printer name, used to route jobs to this printer
+ * @property {import("./dymo-services.js").PrinterConfig} config Printer configuration, the interface is required
+ * @property {string|import("./labels.js").DymoLabel} [label] Label loaded in the printer (key from DYMO_LABELS or
+ *                                                          label object)
+ * @property {string[]} [tags] Tags to route jobs by, e.g. the location of the printer
+ */
+
+/**
+ * @typedef {Object} PoolPrinter
+ * @property {string} name Printer name
+ * @property {import("./dymo-services.js").PrinterConfig} config Printer configuration
+ * @property {import("./labels.js").DymoLabel} [label] Label loaded in the printer
+ * @property {string[]} tags Tags
+ * @property {boolean} available False while the printer is skipped after a failure
+ * @property {any} [lastError] Error of the last failed job
+ */
+
+/**
+ * @typedef {Object} PoolOptions
+ * @property {number} [cooldown] Time a failed printer is skipped in milliseconds, unless no other printer matches
+ *                               (defaults to 30000)
+ * @property {function(any):boolean} [shouldFailover] Decide if the job is tried on the next printer after a failure,
+ *                                                    defaults to unreachable, out of labels, jammed or busy printers
+ */
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {string} [printer] Name of the printer to print on, no other printer is tried
+ * @property {string|import("./labels.js").DymoLabel} [label] Label the printer should be loaded with, the image is
+ *                                                          fitted to it
+ * @property {string} [labelType] Type of the label the printer should be loaded with, e.g. ADDRESS or SHIPPING
+ * @property {string|string[]} [tags] Tag or tags the printer should have
+ */
+
+/**
+ * @typedef {Object} PoolResult
+ * @property {string} printer Name of the printer the job was sent to
+ * @property {import("./dymo-services.js").JobStatus} [job] The job, for the CUPS and IPP interfaces
+ */
+
+/**
+ * Pool of printers, jobs are routed by the label loaded in the printer and by tags.
+ * Jobs are spread round-robin over the matching printers. When a printer fails, the job is sent to the next matching
+ * printer and the failed printer is skipped for a while.
+ *
+ * Events:
+ * - failover: the job failed on a printer and is tried on the next one, (name, error, nextName)
+ */
+export class PrinterPool extends EventEmitter {
+    /**
+     * @private
+     * @type {Map<string, {entry:PoolPrinter,services:import("./dymo-services.js").DymoServices,failedAt:number}>}
+     */
+    printers = new Map();
+    /**
+     * @private
+     * Number of jobs routed per set of matching printers, for the round-robin.
+     * @type {Map<string, number>}
+     */
+    rotations = new Map();
+    /**
+     * @private
+     * @type {{cooldown:number,shouldFailover:function(any):boolean}}
+     */
+    options;
+    /**
+     * @private
+     * @type {ServicesFactory}
+     */
+    createServices;
+
+    /**
+     * Create a printer pool.
+     *
+     * @param {ServicesFactory} createServices Creates the DymoServices of a printer, e.g.
+     *                                        (config) => new DymoServices(config)
+     * @param {PoolOptions} [options] Pool options
+     */
+    constructor(createServices, options = {}) {
+        super();
+        if (typeof createServices !== "function") {
+            throw new ConfigError("PrinterPool: createServices should be a function");
+        }
+        const { cooldown = 30000 } = options;
+        if (typeof cooldown !== "number" || !(cooldown >= 0)) {
+            throw new ConfigError(`PrinterPool: cooldown should be a positive number or 0: "${cooldown}"`);
+        }
+        this.createServices = createServices;
+        this.options = { cooldown, shouldFailover: options.shouldFailover || isFailoverError };
+    }
+
+    /**
+     * Add a printer to the pool.
+     *
+     * @param {PoolPrinterConfig} printer Printer
+     * @return {PoolPrinter} The registered printer
+     */
+    register(printer) {
+        if (!printer || typeof printer.name !== "string" || !printer.name) {
+            throw new ConfigError("PrinterPool.register(): printer should have a name");
+        }
+        if (this.printers.has(printer.name)) {
+            throw new ConfigError(`PrinterPool.register(): printer "${printer.name}" is already registered`);
+        }
+        if (!printer.config || !printer.config.interface) {
+            throw new ConfigError(`PrinterPool.register(): printer "${printer.name}" needs a config with an interface`);
+        }
+        const tags = printer.tags || [];
+        if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+            throw new ConfigError(`PrinterPool.register(): tags of printer "${printer.name}" should be strings`);
+        }
+        let label;
+        try {
+            label = printer.label ? findLabel(printer.label) : undefined;
+        } catch (e) {
+            throw new ConfigError(`PrinterPool.register(): printer "${printer.name}": ${e.message}`);
+        }
+        const services = this.createServices({ ...printer.config });
+        /** @type {PoolPrinter} */
+        const entry = { name: printer.name, config: { ...printer.config }, label, tags: tags.slice(), available: true };
+        this.printers.set(printer.name, { entry, services, failedAt: 0 });
+        return this.toPrinter(printer.name);
+    }
+
+    /**
+     * Remove a printer from the pool.
+     *
+     * @param {string} name Printer name
+     * @return {boolean} True if the printer was registered
+     */
+    unregister(name) {
+        return this.printers.delete(name);
+    }
+
+    /**
+     * Get the registered printers, in the order they were registered.
+     *
+     * @return {PoolPrinter[]}
+     */
+    getPrinters() {
+        return Array.from(this.printers.keys()).map((name) => this.toPrinter(name));
+    }
+
+    /**
+     * Get the DymoServices of a printer, e.g. to request its status.
+     *
+     * @param {string} name Printer name
+     * @return {import("./dymo-services.js").DymoServices|undefined} Printer, undefined if it is not registered
+     */
+    getServices(name) {
+        const printer = this.printers.get(name);
+        return printer ? printer.services : undefined;
+    }
+
+    /**
+     * Print the image on a printer that matches the route options, see DymoServices.print().
+     * The image is fitted to the requested label, or else to the label loaded in the printer.
+     *
+     * @param {import("jimp")} image image object, preferably in landscape orientation
+     * @param {number} [printCount] Number of prints (defaults to 1)
+     * @param {import("./dymo-services.js").PrintOptions & RouteOptions} [options] Print and route options
+     * @return {Promise<PoolResult>} Resolves with the printer and the job, rejects when no printer could print it
+     */
+    print(image, printCount = 1, options = {}) {
+        return this.route(options, (services, printer) =>
+            // Every attempt converts its own copy, the conversion changes the image.
+            services.print(image.clone(), printCount, {
+                ...options,
+                label: options.label || printer.label,
+            })
+        );
+    }
+
+    /**
+     * Render the label template with the data and print it on a printer that matches the route options, see
+     * DymoServices.printTemplate(). The label of the template routes the job, unless the options name a label.
+     *
+     * @param {import("./layout-services.js").LabelTemplate|string} template Template, or JSON file with the template
+     * @param {Object} [data] Data for the {{placeholders}} in the template
+     * @param {number} [printCount] Number of prints (defaults to 1)
+     * @param {import("./dymo-services.js").PrintOptions & RouteOptions} [options] Print and route options
+     * @return {Promise<PoolResult>} Resolves with the printer and the job, rejects when no printer could print it
+     */
+    printTemplate(template, data = {}, printCount = 1, options = {}) {
+        const loading = typeof template === "string" ? loadTemplate(template) : Promise.resolve(template);
+        return loading.then((loaded) =>
+            renderTemplate(loaded, data).then((image) =>
+                this.route({ label: loaded.label, ...options }, (services) =>
+                    services.print(image.clone(), printCount, { dithering: "THRESHOLD", ...options })
+                )
+            )
+        );
+    }
+
+    /**
+     * Send a pre-rendered printer buffer to a printer that matches the route options, see DymoServices.printRaw().
+     * The buffer is encoded for one model, so route it by name or by tags of printers of that model.
+     *
+     * @param {Buffer} buffer Printer commands and raster data
+     * @param {import("./dymo-services.js").PrintOptions & RouteOptions} [options] Print and route options
+     * @return {Promise<PoolResult>} Resolves with the printer and the job, rejects when no printer could print it
+     */
+    printRaw(buffer, options = {}) {
+        return this.route(options, (services) => services.printRaw(buffer, options));
+    }
+
+    /**
+     * Print the labels in one job on a printer that matches the route options, see DymoServices.printBatch().
+     * The labels are read while they are sent, so a batch is not tried on the next printer when it fails.
+     *
+     * @param {Iterable<any>|AsyncIterable<any>} labels Array, iterable or async iterable of images or BatchLabels
+     * @param {import("./dymo-services.js").PrintOptions & RouteOptions} [options] Print and route options
+     * @return {Promise<PoolResult & import("./dymo-services.js").BatchResult>} Resolves with the printer and the
+     *                                                                         batch result
+     */
+    printBatch(labels, options = {}) {
+        return this.route({ ...options, failover: false }, (services, printer) =>
+            services.printBatch(labels, { ...options, label: options.label || printer.label })
+        ).then(({ printer, job }) => ({ printer, ...job }));
+    }
+
+    /**
+     * Write the printers to a JSON file, that PrinterPool.load() reads.
+     *
+     * @param {string} file JSON file
+     * @return {Promise<void>} Resolves when the file is written, rejects otherwise
+     */
+    save(file) {
+        return new Promise((resolve, reject) => {
+            const printers = this.getPrinters().map((printer) => ({
+                name: printer.name,
+                config: printer.config,
+                label: printer.label ? printer.label.partNumber || printer.label : undefined,
+                tags: printer.tags,
+            }));
+            fs.writeFile(file, JSON.stringify({ printers }, null, 4), { encoding: "utf8" }, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Create a pool with the printers of a JSON file, e.g.
+     * { "printers": [{ "name": "shipping", "label": "1744907", "tags": ["warehouse"],
+     *   "config": { "interface": "NETWORK", "host": "192.168.1.20" } }] }
+     *
+     * @param {string} file JSON file
+     * @param {ServicesFactory} createServices Creates the DymoServices of a printer, e.g.
+     *                                        (config) => new DymoServices(config)
+     * @param {PoolOptions} [options] Pool options
+     * @return {Promise<PrinterPool>} Resolves with the pool, rejects if the file cannot be read or is invalid
+     */
+    static load(file, createServices, options = {}) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(file, { encoding: "utf8" }, (err, json) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                try {
+                    const parsed = JSON.parse(json);
+                    if (!parsed || !Array.isArray(parsed.printers)) {
+                        throw new ConfigError(`PrinterPool.load(): "${file}" should have a printers array`);
+                    }
+                    const pool = new PrinterPool(createServices, options);
+                    parsed.printers.forEach((printer) => pool.register(printer));
+                    resolve(pool);
+                } catch (e) {
+                    if (e instanceof SyntaxError) {
+                        reject(new ConfigError(`PrinterPool.load(): invalid JSON in "${file}"`));
+                        return;
+                    }
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Find the printers that match the route options, in the order to try them: round-robin over the available
+     * printers, then the printers that failed recently.
+     *
+     * @param {RouteOptions} options Route options
+     * @return {string[]} Printer names
+     */
+    select(options) {
+        const tags = [].concat(options.tags || []);
+        const label = options.label ? findLabel(options.label) : undefined;
+        const names = Array.from(this.printers.values())
+            .filter(({ entry }) => {
+                if (options.printer !== undefined && entry.name !== options.printer) {
+                    return false;
+                }
+                if (label && !(entry.label && sameLabel(entry.label, label))) {
+                    return false;
+                }
+                if (options.labelType && !(entry.label && entry.label.type === options.labelType)) {
+                    return false;
+                }
+                return tags.every((tag) => entry.tags.indexOf(tag) !== -1);
+            })
+            .map(({ entry }) => entry.name);
+        if (names.length === 0) {
+            return names;
+        }
+        const key = names.join("\n");
+        const rotation = this.rotations.get(key) || 0;
+        this.rotations.set(key, rotation + 1);
+        const ordered = names.slice(rotation % names.length).concat(names.slice(0, rotation % names.length));
+        const available = ordered.filter((name) => this.toPrinter(name).available);
+        return available.concat(ordered.filter((name) => available.indexOf(name) === -1));
+    }
+
+    /**
+     * @private
+     *
+     * Send the job to the first matching printer, and to the next one when it fails with a failover error.
+     *
+     * @param {RouteOptions & {failover?:boolean}} options Route options
+     * @param {function(import("./dymo-services.js").DymoServices, PoolPrinter):Promise<any>} send Sends the job
+     * @return {Promise<{printer:string,job:any}>} Resolves with the printer name and the result of send
+     */
+    route(options, send) {
+        return new Promise((resolve, reject) => {
+            const names = this.select(options);
+            if (names.length === 0) {
+                throw new PrinterNotFoundError(`PrinterPool: no printer matches ${describeRoute(options)}`);
+            }
+            const attempt = (index) => {
+                const name = names[index];
+                const printer = this.printers.get(name);
+                Promise.resolve()
+                    .then(() => send(printer.services, printer.entry))
+                    .then((job) => {
+                        printer.failedAt = 0;
+                        printer.entry.lastError = undefined;
+                        resolve({ printer: name, job });
+                    })
+                    .catch((error) => {
+                        if (!this.options.shouldFailover(error)) {
+                            reject(error);
+                            return;
+                        }
+                        printer.failedAt = Date.now();
+                        printer.entry.lastError = error;
+                        if (options.failover === false || index + 1 >= names.length) {
+                            reject(error);
+                            return;
+                        }
+                        this.emit("failover", name, error, names[index + 1]);
+                        attempt(index + 1);
+                    });
+            };
+            attempt(0);
+        });
+    }
+
+    /**
+     * @private
+     *
+     * @param {string} name Printer name
+     * @return {PoolPrinter} Copy of the registered printer, with its current availability
+     */
+    toPrinter(name) {
+        const { entry, failedAt } = this.printers.get(name);
+        const available = failedAt === 0 || Date.now() - failedAt >= this.options.cooldown;
+        return { ...entry, config: { ...entry.config }, tags: entry.tags.slice(), available };
+    }
+}
+
+/**
+ * Decide if the job should be tried on the next printer: the printer cannot be reached, is out of labels, jammed or
+ * busy before the job was sent. A job that failed after it was sent may be printed, it is not sent again.
+ *
+ * @param {any} error Error or message
+ * @return {boolean}
+ */
+function isFailoverError(error) {
+    if (!error || typeof error !== "object" || error.jobSent) {
+        return false;
+    }
+    return FAILOVER_ERROR_CODES.indexOf(error.code) !== -1;
+}
+
+/**
+ * Labels are the same when they are the same catalogue entry, or custom labels of the same size.
+ *
+ * @param {import("./labels.js").DymoLabel} a Label
+ * @param {import("./labels.js").DymoLabel} b Label
+ * @return {boolean}
+ */
+function sameLabel(a, b) {
+    return a === b || (a.widthMm === b.widthMm && a.heightMm === b.heightMm && a.type === b.type);
+}
+
+/**
+ * @param {RouteOptions} options Route options
+ * @return {string} Description of the route for error messages
+ */
+function describeRoute(options) {
+    const parts = [];
+    if (options.printer !== undefined) {
+        parts.push(`printer "${options.printer}"`);
+    }
+    if (options.label) {
+        parts.push(`label "${findLabel(options.label).title}"`);
+    }
+    if (options.labelType) {
+        parts.push(`label type "${options.labelType}"`);
+    }
+    if (options.tags && [].concat(options.tags).length > 0) {
+        parts.push(`tags "${[].concat(options.tags).join(", ")}"`);
+    }
+    return parts.length > 0 ? parts.join(", ") : "any printer, the pool is empty";
+}
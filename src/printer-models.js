@@ -0,0 +1,140 @@
+// Profiles of the DYMO LabelWriter and LabelManager models.
+// The LabelWriters print 300 dots per inch on die-cut labels, the LabelManagers 180 dots per inch on D1 tape.
+// https://download.dymo.com/dymo/technical-data-sheets/LW%20450%20Series%20Technical%20Reference.pdf
+
+import { ConfigError } from "./errors.js";
+
+// Command sets, the LabelManager tape printers speak a variant of the LabelWriter raster protocol.
+export const DRIVER_LABELWRITER = "LABELWRITER";
+export const DRIVER_LABELMANAGER = "LABELMANAGER";
+
+// D1 tape widths (mm) and the number of dots printed across them, the tape is centred on the print head.
+export const TAPE_WIDTHS = Object.freeze({ 6: 32, 9: 48, 12: 64, 19: 96, 24: 128 });
+
+export const ROLL_AUTO = "AUTO";
+export const ROLL_LEFT = "LEFT";
+export const ROLL_RIGHT = "RIGHT";
+
+/**
+ * @typedef {Object} PrinterModel
+ * @property {string} key Model key, e.g. LW450
+ * @property {string} title Human readable title
+ * @property {string} driver Command set (LABELWRITER, LABELMANAGER)
+ * @property {number} dpi Print resolution, dots per inch
+ * @property {number} printHeadDots Width of the print head in dots
+ * @property {number} printHeadBytes Maximum bytes per raster line (<esc> D), 8 dots each
+ * @property {number} rolls Number of label rolls, 2 for the Twin Turbo
+ * @property {boolean} supportsRollSelection Supports <esc> q to select the roll
+ * @property {number[]} tapeWidths Supported tape widths in mm, empty for the LabelWriters
+ * @property {RegExp} namePattern Matches the printer names of the model
+ */
+
+/**
+ * Create a LabelWriter model profile.
+ *
+ * @param {string} key Model key
+ * @param {string} title Human readable title
+ * @param {number} printHeadDots Width of the print head in dots
+ * @param {number} rolls Number of label rolls
+ * @param {RegExp} namePattern Matches the printer names of the model
+ * @return {PrinterModel} Model profile
+ */
+function model(key, title, printHeadDots, rolls, namePattern) {
+    return Object.freeze({
+        key,
+        title,
+        driver: DRIVER_LABELWRITER,
+        dpi: 300,
+        printHeadDots,
+        printHeadBytes: printHeadDots / 8,
+        rolls,
+        supportsRollSelection: rolls > 1,
+        tapeWidths: [],
+        namePattern,
+    });
+}
+
+/**
+ * Create a LabelManager model profile.
+ *
+ * @param {string} key Model key
+ * @param {string} title Human readable title
+ * @param {number} printHeadDots Height of the vertical print head in dots
+ * @param {number[]} tapeWidths Supported tape widths in mm
+ * @param {RegExp} namePattern Matches the printer names of the model
+ * @return {PrinterModel} Model profile
+ */
+function tapeModel(key, title, printHeadDots, tapeWidths, namePattern) {
+    return Object.freeze({
+        key,
+        title,
+        driver: DRIVER_LABELMANAGER,
+        dpi: 180,
+        printHeadDots,
+        printHeadBytes: printHeadDots / 8,
+        rolls: 1,
+        supportsRollSelection: false,
+        tapeWidths,
+        namePattern,
+    });
+}
+
+const MODEL_LW450 = model("LW450", "LabelWriter 450, 450 Turbo, 450 Duo, 400", 672, 1, /labelwriter/i);
+
+// The LabelWriter 550 series, by printer name or by key like LW550 and LW5XL.
+const UNSUPPORTED_MODEL_PATTERN = /(labelwriter|lw)[\s_-]*5(50|\s*xl)/i;
+
+// Looks like a model key, not like a printer name.
+const MODEL_KEY_PATTERN = /^L[WM][A-Z0-9_]*$/i;
+
+/**
+ * All known models, by key.
+ * The LW450 profile also covers the LabelWriter 400 and 450 variants with a single roll. The LabelWriter 550 series
+ * (550, 550 Turbo, 5XL) expects another job format and is not supported.
+ *
+ * @type {Object<string, PrinterModel>}
+ */
+export const PRINTER_MODELS = Object.freeze({
+    LW450: MODEL_LW450,
+    LW450_TWIN_TURBO: model("LW450_TWIN_TURBO", "LabelWriter 450 Twin Turbo, 400 Twin Turbo", 672, 2, /twin\s*turbo/i),
+    // The wide model, 4.16 inch print head for shipping labels up to 4 inch wide.
+    LW4XL: model("LW4XL", "LabelWriter 4XL", 1248, 1, /4\s*xl/i),
+    // The tape printers, the larger print heads before the LabelManager PnP that matches every LabelManager.
+    LM420P: tapeModel("LM420P", "LabelManager 420P", 128, [6, 9, 12, 19], /labelmanager\s*420/i),
+    LM500TS: tapeModel("LM500TS", "LabelManager 500TS", 128, [6, 9, 12, 19, 24], /labelmanager\s*500/i),
+    LMPNP: tapeModel("LMPNP", "LabelManager PnP, 280", 64, [6, 9, 12], /labelmanager|labelpoint/i),
+});
+
+/**
+ * Find a model by key, or by printer name like "DYMO LabelWriter 4XL" or "DYMO LabelManager PnP".
+ * Profile objects are returned as is. Unknown printers get the LW450 profile, the most common print head.
+ * Throws a ConfigError for the unsupported LabelWriter 550 series and for unknown model keys.
+ *
+ * @param {string|PrinterModel} [modelOrName] Model key, printer name or model profile
+ * @return {PrinterModel} Model profile
+ */
+export function findPrinterModel(modelOrName) {
+    if (modelOrName && typeof modelOrName === "object") {
+        if (!Number.isInteger(modelOrName.printHeadBytes) || modelOrName.printHeadBytes <= 0) {
+            throw new ConfigError("findPrinterModel(): model should have a positive integer printHeadBytes");
+        }
+        return modelOrName;
+    }
+    const key = `${modelOrName || ""}`;
+    if (PRINTER_MODELS[key.toUpperCase()]) {
+        return PRINTER_MODELS[key.toUpperCase()];
+    }
+    if (UNSUPPORTED_MODEL_PATTERN.test(key)) {
+        throw new ConfigError(`The LabelWriter 550 series is not supported: "${key}"`);
+    }
+    if (MODEL_KEY_PATTERN.test(key)) {
+        throw new ConfigError(
+            `Unknown printer model "${key}", valid models are: ${Object.keys(PRINTER_MODELS).join(", ")}`
+        );
+    }
+    // The specific models first, every name matches the LW450 pattern.
+    const found = Object.keys(PRINTER_MODELS)
+        .map((modelKey) => PRINTER_MODELS[modelKey])
+        .find((candidate) => candidate !== MODEL_LW450 && candidate.namePattern.test(key));
+    return found || MODEL_LW450;
+}
@@ -0,0 +1,428 @@
+import { EventEmitter } from "node:events";
+import { DymoError } from "./errors.js";
+import { renderTemplate } from "./layout-services.js";
+
+// Job states.
+export const JOB_QUEUED = "QUEUED";
+export const JOB_STARTED = "STARTED";
+export const JOB_RETRYING = "RETRYING";
+export const JOB_DONE = "DONE";
+export const JOB_FAILED = "FAILED";
+export const JOB_CANCELLED = "CANCELLED";
+
+// Error codes of failures that may go away by themselves: the printer is switched off, rebooting, out of reach for a
+// moment, or the device is in use by another process.
+const TRANSIENT_ERROR_CODES = [
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ETIMEDOUT",
+    "EHOSTUNREACH",
+    "ENETUNREACH",
+    "EAI_AGAIN",
+    "EPIPE",
+    "EBUSY",
+    "EAGAIN",
+];
+// IPP status codes of a busy or temporarily unavailable printer or print server: server-error-service-unavailable,
+// server-error-temporary-error, server-error-not-accepting-jobs and server-error-busy.
+const TRANSIENT_IPP_STATUS_CODES = [0x0502, 0x0505, 0x0506, 0x0507];
+
+/**
+ * @typedef {Object} QueueOptions
+ * @property {number} [retries] Number of retries after a transient failure (defaults to 3)
+ * @property {number} [retryDelay] Delay before the first retry in milliseconds (defaults to 1000)
+ * @property {number} [backoffFactor] Factor the delay is multiplied with after every retry (defaults to 2)
+ * @property {number} [maxRetryDelay] Maximum delay between retries in milliseconds (defaults to 30000)
+ * @property {function(any):boolean} [isRetryable] Decide if a failure is transient, defaults to network errors,
+ *                                                 timeouts and a busy printer or device
+ */
+
+/**
+ * @typedef {Object} PrintJob
+ * @property {number} id Job id, unique within the queue
+ * @property {string} state QUEUED, STARTED, RETRYING, DONE, FAILED or CANCELLED
+ * @property {number} attempts Number of attempts to send the job
+ * @property {any} [error] Error of the last failed attempt
+ * @property {Promise<void>} done Resolves when the job is printed, rejects when it failed or was cancelled
+ */
+
+/**
+ * Print queue for one printer.
+ * Jobs run one at a time in the order they were added. Sending is retried with an increasing delay when it fails
+ * with a transient error.
+ *
+ * Events, all with the job as first argument:
+ * - queued: the job was added to the queue
+ * - started: the job is being encoded and sent
+ * - retry: sending failed with a transient error, (job, error, delay) with the delay in milliseconds
+ * - sent: the job was sent to the printer
+ * - failed: the job failed, (job, error)
+ * - cancelled: the job was cancelled before or while it was sent
+ * - done: the job is finished
+ */
+export class PrintQueue extends EventEmitter {
+    /**
+     * @private
+     * @type {PrintJob[]}
+     */
+    jobs = [];
+    /**
+     * @private
+     * @type {Map<number, {prepare:function():Promise<Buffer>,options:Object,resolve:function,reject:function}>}
+     */
+    tasks = new Map();
+    /**
+     * @private
+     * @type {PrintJob|undefined}
+     */
+    activeJob = undefined;
+    /**
+     * @private
+     * @type {{timer:any,cancel:function():void}|undefined}
+     */
+    retryWait = undefined;
+    /**
+     * @private
+     * Aborts the active job, until the printer or spooler accepted it.
+     * @type {AbortController|undefined}
+     */
+    abortController = undefined;
+    /**
+     * @private
+     * Removes the abort listener of the active job from the signal of its options.
+     * @type {function():void|undefined}
+     */
+    removeAbortListener = undefined;
+    /**
+     * @private
+     */
+    nextId = 1;
+    /**
+     * @private
+     * @type {import("./dymo-services.js").DymoServices}
+     */
+    printer;
+    /**
+     * @private
+     * @type {{retries:number,retryDelay:number,backoffFactor:number,maxRetryDelay:number,isRetryable:function}}
+     */
+    options;
+
+    /**
+     * Create a print queue.
+     *
+     * @param {import("./dymo-services.js").DymoServices} printer Printer to print on
+     * @param {QueueOptions} [options] Queue options
+     */
+    constructor(printer, options = {}) {
+        super();
+        if (!printer || typeof printer.printRaw !== "function") {
+            throw Error("PrintQueue: printer should be a DymoServices instance");
+        }
+        const { retries = 3, retryDelay = 1000, backoffFactor = 2, maxRetryDelay = 30000 } = options;
+        if (!Number.isInteger(retries) || retries < 0) {
+            throw Error(`PrintQueue: retries should be positive integer or 0: "${retries}"`);
+        }
+        [
+            ["retryDelay", retryDelay],
+            ["backoffFactor", backoffFactor],
+            ["maxRetryDelay", maxRetryDelay],
+        ].forEach(([name, value]) => {
+            if (typeof value !== "number" || !(value >= 0)) {
+                throw Error(`PrintQueue: ${name} should be a positive number or 0: "${value}"`);
+            }
+        });
+        this.printer = printer;
+        this.options = {
+            retries,
+            retryDelay,
+            backoffFactor,
+            maxRetryDelay,
+            isRetryable: options.isRetryable || isTransientError,
+        };
+    }
+
+    /**
+     * Queue an image, see DymoServices.print().
+     *
+     * @param {import("jimp")} image image object, preferably in landscape orientation
+     * @param {number|import("./dymo-services.js").PrintOptions} [printCount] Number of prints (defaults to 1), or
+     *                                                                        the print options
+     * @param {import("./dymo-services.js").PrintOptions} [options] Print options
+     * @return {PrintJob}
+     */
+    print(image, printCount = 1, options = {}) {
+        if (typeof printCount === "object" && printCount !== null) {
+            options = printCount;
+            printCount = options.printCount || 1;
+        }
+        return this.add(() => this.printer.encodeImage(image, printCount, options), options);
+    }
+
+    /**
+     * Queue a label template, see DymoServices.printTemplate().
+     *
+     * @param {import("./layout-services.js").LabelTemplate|string} template Template, or JSON file with the template
+     * @param {Object} [data] Data for the {{placeholders}} in the template
+     * @param {number} [printCount] Number of prints (defaults to 1)
+     * @param {import("./dymo-services.js").PrintOptions} [options] Print options
+     * @return {PrintJob}
+     */
+    printTemplate(template, data = {}, printCount = 1, options = {}) {
+        const printOptions = { dithering: "THRESHOLD", ...options };
+        return this.add(
+            () =>
+                renderTemplate(template, data).then((image) =>
+                    this.printer.encodeImage(image, printCount, printOptions)
+                ),
+            printOptions
+        );
+    }
+
+    /**
+     * Queue a pre-rendered printer buffer, see DymoServices.printRaw().
+     *
+     * @param {Buffer} buffer Printer commands and raster data
+     * @param {import("./dymo-services.js").PrintOptions} [options] Print options, only checkStatus and the job options
+     *                                                              are used
+     * @return {PrintJob}
+     */
+    printRaw(buffer, options = {}) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw Error("PrintQueue.printRaw(): buffer should be a non-empty Buffer");
+        }
+        return this.add(() => Promise.resolve(buffer), options);
+    }
+
+    /**
+     * Cancel a job that is waiting in the queue, waiting for a retry, or being sent.
+     * Sending is aborted when AbortController is available (Node.js 15 and later). A job that was accepted by the
+     * printer cannot be cancelled, a job that was handed to the spooler has to be cancelled with
+     * DymoServices.cancelJob(). A job that the printer accepts before the abort takes effect still ends as done.
+     *
+     * @param {number} id Job id
+     * @return {boolean} True if the job was cancelled, or its sending aborted
+     */
+    cancel(id) {
+        const job = this.getJobs().find((candidate) => candidate.id === id);
+        if (!job) {
+            return false;
+        }
+        if (job.state === JOB_RETRYING && this.retryWait) {
+            this.retryWait.cancel();
+            return true;
+        }
+        if (job.state === JOB_STARTED && this.abortController) {
+            job.state = JOB_CANCELLED;
+            this.abortController.abort();
+            return true;
+        }
+        if (job.state !== JOB_QUEUED) {
+            return false;
+        }
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        this.finish(job, JOB_CANCELLED, cancelledError(job));
+        return true;
+    }
+
+    /**
+     * Get the jobs that are queued or running, in the order they run.
+     *
+     * @return {PrintJob[]}
+     */
+    getJobs() {
+        return this.activeJob ? [this.activeJob, ...this.jobs] : this.jobs.slice();
+    }
+
+    /**
+     * @private
+     *
+     * Add a job to the queue.
+     *
+     * @param {function():Promise<Buffer>} prepare Creates the printer buffer when the job starts
+     * @param {import("./dymo-services.js").PrintOptions} options Print options
+     * @return {PrintJob}
+     */
+    add(prepare, options) {
+        /** @type {PrintJob} */
+        const job = { id: this.nextId++, state: JOB_QUEUED, attempts: 0, error: undefined, done: Promise.resolve() };
+        job.done = new Promise((resolve, reject) => this.tasks.set(job.id, { prepare, options, resolve, reject }));
+        // Listening to the events is enough, a failed job does not have to be awaited.
+        job.done.catch(() => undefined);
+        this.jobs.push(job);
+        this.emit("queued", job);
+        this.next();
+        return job;
+    }
+
+    /**
+     * @private
+     *
+     * Start the next job, unless a job is running.
+     */
+    next() {
+        if (this.activeJob || this.jobs.length === 0) {
+            return;
+        }
+        const job = /** @type {PrintJob} */ (this.jobs.shift());
+        const task = this.tasks.get(job.id);
+        this.activeJob = job;
+        job.state = JOB_STARTED;
+        this.emit("started", job);
+
+        let options = task.options;
+        this.abortController = typeof AbortController === "function" ? new AbortController() : undefined;
+        if (this.abortController) {
+            const controller = this.abortController;
+            const signal = options.signal;
+            if (signal) {
+                // Like cancel(), so the job ends as cancelled, also while it waits for a retry.
+                const onAbort = () => this.cancel(job.id);
+                signal.addEventListener("abort", onAbort, { once: true });
+                this.removeAbortListener = () => signal.removeEventListener("abort", onAbort);
+                if (signal.aborted) {
+                    onAbort();
+                }
+            }
+            const onSent = options.onSent;
+            options = {
+                ...options,
+                signal: controller.signal,
+                onSent: (result) => {
+                    if (this.abortController === controller) {
+                        this.abortController = undefined;
+                    }
+                    if (onSent) {
+                        onSent(result);
+                    }
+                },
+            };
+        }
+
+        Promise.resolve()
+            .then(() => task.prepare())
+            .then((buffer) => this.send(job, buffer, options))
+            .then(() => {
+                // The abort came too late to stop the printer or spooler, the job is sent and may be printed.
+                job.state = JOB_STARTED;
+                this.emit("sent", job);
+                this.finish(job, JOB_DONE);
+            })
+            .catch((error) => this.finish(job, job.state === JOB_CANCELLED ? JOB_CANCELLED : JOB_FAILED, error));
+    }
+
+    /**
+     * @private
+     *
+     * Send the buffer, retry after transient failures.
+     *
+     * @param {PrintJob} job Job
+     * @param {Buffer} buffer Printer commands and raster data
+     * @param {import("./dymo-services.js").PrintOptions} options Print options
+     * @return {Promise<void>}
+     */
+    send(job, buffer, options) {
+        job.attempts++;
+        return this.printer.printRaw(buffer, options).catch((error) => {
+            job.error = error;
+            const { retries, retryDelay, backoffFactor, maxRetryDelay, isRetryable } = this.options;
+            if (job.state === JOB_CANCELLED || job.attempts > retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = Math.min(maxRetryDelay, retryDelay * Math.pow(backoffFactor, job.attempts - 1));
+            job.state = JOB_RETRYING;
+            this.emit("retry", job, error, delay);
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.retryWait = undefined;
+                    job.state = JOB_STARTED;
+                    resolve(this.send(job, buffer, options));
+                }, delay);
+                this.retryWait = {
+                    timer,
+                    cancel: () => {
+                        clearTimeout(timer);
+                        this.retryWait = undefined;
+                        job.state = JOB_CANCELLED;
+                        reject(cancelledError(job));
+                    },
+                };
+            });
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Settle the job and start the next one.
+     *
+     * @param {PrintJob} job Job
+     * @param {string} state Final state
+     * @param {any} [error] Error of a failed or cancelled job
+     */
+    finish(job, state, error) {
+        const task = this.tasks.get(job.id);
+        this.tasks.delete(job.id);
+        job.state = state;
+        if (error !== undefined) {
+            job.error = error;
+        }
+        if (this.activeJob === job) {
+            this.activeJob = undefined;
+            this.abortController = undefined;
+            if (this.removeAbortListener) {
+                this.removeAbortListener();
+                this.removeAbortListener = undefined;
+            }
+        }
+        if (state === JOB_DONE) {
+            this.emit("done", job);
+            task.resolve();
+        } else {
+            this.emit(state === JOB_CANCELLED ? "cancelled" : "failed", job, error);
+            task.reject(error);
+        }
+        this.next();
+    }
+}
+
+/**
+ * Create the error of a cancelled job.
+ *
+ * @param {PrintJob} job Job
+ * @return {DymoError} Error with code JOB_CANCELLED
+ */
+function cancelledError(job) {
+    return new DymoError(`Print job ${job.id} was cancelled`, "JOB_CANCELLED");
+}
+
+/**
+ * Decide if the failure may go away by itself: network errors, timeouts and a busy printer or device.
+ *
+ * @param {any} error Error or message
+ * @return {boolean}
+ */
+function isTransientError(error) {
+    if (typeof error === "string") {
+        return /timeout/i.test(error);
+    }
+    if (!error || error.jobSent) {
+        // A job that was sent completely may be printed, sending it again could print it twice.
+        return false;
+    }
+    if (error.code === "PRINTER_STATUS") {
+        // Out of labels or a paper jam needs someone to fix it, a busy printer does not.
+        return !!error.status && !error.status.paperOut && !error.status.error;
+    }
+    if (error.code === "IPP_STATUS") {
+        return TRANSIENT_IPP_STATUS_CODES.indexOf(error.statusCode) !== -1 || error.httpStatus === 503;
+    }
+    if (error.code === "TIMEOUT") {
+        return true;
+    }
+    if (error.code === "TRANSPORT") {
+        // The network or device error that caused it, a failing spooler command is not retried.
+        return !!error.cause && isTransientError(error.cause);
+    }
+    return TRANSIENT_ERROR_CODES.indexOf(error.code) !== -1;
+}
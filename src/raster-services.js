@@ -0,0 +1,248 @@
+import Jimp from "jimp";
+
+// Decoder for the LabelWriter and LabelManager command streams, the reverse of DymoServices.encodeJob().
+// https://download.dymo.com/dymo/technical-data-sheets/LW%20450%20Series%20Technical%20Reference.pdf
+
+const ESC = 0x1b;
+// <syn> Transfer Print Data and <etb> Transfer Compressed Print Data.
+const SYN = 0x16;
+const ETB = 0x17;
+
+// Settings after <esc> @ or <esc> *, and at power up.
+const DEFAULT_BYTES_PER_LINE = 84;
+const DEFAULT_LABEL_LENGTH = 3058;
+
+const DENSITIES = { c: "LIGHT", d: "MEDIUM", e: "NORMAL", g: "DARK" };
+const QUALITY_MODES = { h: "TEXT", i: "GRAPHICS" };
+const ROLLS = { 0: "AUTO", 1: "LEFT", 2: "RIGHT" };
+
+/**
+ * @typedef {Object} DecodedLabel
+ * @property {number} bytesPerLine Bytes per raster line (<esc> D), 8 dots each
+ * @property {number} labelLength Maximum label length in lines (<esc> L)
+ * @property {number} dotTab Dot tab in bytes (<esc> B)
+ * @property {string} density Print density (LIGHT, MEDIUM, NORMAL, DARK)
+ * @property {string} qualityMode Print quality mode (TEXT, GRAPHICS)
+ * @property {string} [roll] Selected roll of a Twin Turbo (AUTO, LEFT, RIGHT) (<esc> q), undefined if not selected
+ * @property {number[][]} lines Raster lines, 8 dots per byte, leftmost dot in the most significant bit
+ * @property {number} [tapeType] Tape type of a LabelManager (<esc> C), undefined for a LabelWriter
+ * @property {string} [formFeed] Form feed that ended the label: SHORT (<esc> G) or FULL (<esc> E), CUT when a
+ *                               LabelManager ends the job (<esc> A), undefined if the stream ends without one
+ */
+
+/**
+ * @typedef {Object} PreviewOptions
+ * @property {number} [rotation] Rotate the preview clockwise by 0 (default), 90, 180 or 270 degrees, e.g. 270 shows
+ *                               a landscape image, that print() rotated to portrait raster lines, as it was designed
+ */
+
+/**
+ * Decode a LabelWriter command stream, e.g. captured with the MEMORY or FILE interface, into its labels.
+ * Every form feed ends a label, the settings in effect at the form feed are returned with the label.
+ * Skipped lines (<esc> f) are returned as blank raster lines, and so are the empty lines that feed LabelManager tape.
+ *
+ * @param {Buffer} buffer Printer commands and raster data
+ * @return {DecodedLabel[]} Labels in the order they are printed
+ */
+export function decodeRaster(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw Error("decodeRaster(): buffer should be of type Buffer");
+    }
+    const labels = [];
+    const settings = defaultSettings();
+    let lines = [];
+
+    const endLabel = (formFeed) => {
+        labels.push({ ...settings, lines, formFeed });
+        lines = [];
+    };
+    const need = (offset, count, command) => {
+        if (offset + count > buffer.length) {
+            throw Error(`decodeRaster(): ${command} at offset ${offset - 1} is truncated`);
+        }
+    };
+
+    let i = 0;
+    while (i < buffer.length) {
+        const byte = buffer[i++];
+        if (byte === 0) {
+            // The zero bytes that start a LabelManager job.
+            continue;
+        }
+        if (byte === SYN) {
+            need(i, settings.bytesPerLine, "<syn>");
+            lines.push(Array.from(buffer.subarray(i, i + settings.bytesPerLine)));
+            i += settings.bytesPerLine;
+            continue;
+        }
+        if (byte === ETB) {
+            const line = new Array(settings.bytesPerLine).fill(0);
+            const dots = settings.bytesPerLine * 8;
+            let dot = 0;
+            while (dot < dots) {
+                need(i, 1, "<etb>");
+                const run = buffer[i++];
+                const length = (run & 0x7f) + 1;
+                if (run & 0x80) {
+                    for (let d = dot; d < Math.min(dot + length, dots); d++) {
+                        line[d >> 3] |= 0x80 >> (d & 7);
+                    }
+                }
+                dot += length;
+            }
+            lines.push(line);
+            continue;
+        }
+        if (byte !== ESC) {
+            throw Error(`decodeRaster(): unexpected byte 0x${byte.toString(16)} at offset ${i - 1}`);
+        }
+        need(i, 1, "<esc>");
+        const command = String.fromCharCode(buffer[i++]);
+        switch (command) {
+            case "\x1b":
+                // The <esc> characters that resynchronize the printer, the last one starts the next command.
+                i--;
+                break;
+            case "@":
+            case "*":
+                Object.assign(settings, defaultSettings());
+                break;
+            case "A":
+                // Status request, a LabelManager ends the job with it and cuts the tape.
+                if (lines.length > 0) {
+                    endLabel("CUT");
+                }
+                break;
+            case "C":
+                need(i, 1, "<esc> C");
+                settings.tapeType = buffer[i++];
+                break;
+            case "B":
+                need(i, 1, "<esc> B");
+                settings.dotTab = buffer[i++];
+                break;
+            case "D":
+                need(i, 1, "<esc> D");
+                settings.bytesPerLine = buffer[i++];
+                break;
+            case "q":
+                need(i, 1, "<esc> q");
+                settings.roll = ROLLS[String.fromCharCode(buffer[i++])];
+                break;
+            case "L":
+                need(i, 2, "<esc> L");
+                settings.labelLength = buffer.readUInt16BE(i);
+                i += 2;
+                break;
+            case "f": {
+                need(i, 2, "<esc> f");
+                const count = buffer[i + 1];
+                i += 2;
+                for (let n = 0; n < count; n++) {
+                    lines.push(new Array(settings.bytesPerLine).fill(0));
+                }
+                break;
+            }
+            case "E":
+                endLabel("FULL");
+                break;
+            case "G":
+                endLabel("SHORT");
+                break;
+            default:
+                if (DENSITIES[command]) {
+                    settings.density = DENSITIES[command];
+                } else if (QUALITY_MODES[command]) {
+                    settings.qualityMode = QUALITY_MODES[command];
+                } else {
+                    throw Error(`decodeRaster(): unknown command <esc> ${command} at offset ${i - 2}`);
+                }
+        }
+    }
+    if (lines.length > 0) {
+        endLabel(undefined);
+    }
+    return labels;
+}
+
+/**
+ * Render a decoded label as PNG image, one pixel per dot, black on white.
+ * Without rotation every raster line is a row of the image, so the image is in the portrait orientation of the
+ * print head.
+ *
+ * @param {DecodedLabel} label Decoded label
+ * @param {PreviewOptions} [options] Preview options
+ * @return {Promise<Buffer>} PNG image
+ */
+export function createRasterPreview(label, options = {}) {
+    return new Promise((resolve, reject) => {
+        const rotation = options.rotation || 0;
+        if ([0, 90, 180, 270].indexOf(rotation) === -1) {
+            throw Error(`createRasterPreview(): rotation should be 0, 90, 180 or 270: "${rotation}"`);
+        }
+        const lineWidth = label.lines.reduce((width, line) => Math.max(width, line.length * 8), 0);
+        const lineCount = label.lines.length;
+        if (lineWidth === 0 || lineCount === 0) {
+            throw Error("createRasterPreview(): the label has no raster lines");
+        }
+        const swap = rotation === 90 || rotation === 270;
+        const width = swap ? lineCount : lineWidth;
+        const height = swap ? lineWidth : lineCount;
+        const image = new Jimp(width, height, 0xffffffff);
+        const data = image.bitmap.data;
+
+        label.lines.forEach((line, y) => {
+            for (let x = 0; x < line.length * 8; x++) {
+                if (!(line[x >> 3] & (0x80 >> (x & 7)))) {
+                    continue;
+                }
+                // Position of dot x of raster line y in the rotated image.
+                let targetX = x;
+                let targetY = y;
+                if (rotation === 90) {
+                    targetX = lineCount - 1 - y;
+                    targetY = x;
+                } else if (rotation === 180) {
+                    targetX = lineWidth - 1 - x;
+                    targetY = lineCount - 1 - y;
+                } else if (rotation === 270) {
+                    targetX = y;
+                    targetY = lineWidth - 1 - x;
+                }
+                data.fill(0, (targetY * width + targetX) * 4, (targetY * width + targetX) * 4 + 3);
+            }
+        });
+        image.getBufferAsync(Jimp.MIME_PNG).then(resolve).catch(reject);
+    });
+}
+
+/**
+ * Decode a LabelWriter command stream and render every label as PNG image.
+ *
+ * @param {Buffer} buffer Printer commands and raster data
+ * @param {PreviewOptions} [options] Preview options
+ * @return {Promise<Buffer[]>} PNG image per label
+ */
+export function createRasterPreviews(buffer, options = {}) {
+    return new Promise((resolve, reject) => {
+        const labels = decodeRaster(buffer);
+        Promise.all(labels.map((label) => createRasterPreview(label, options)))
+            .then(resolve)
+            .catch(reject);
+    });
+}
+
+/**
+ * @return {Object} Settings at power up
+ */
+function defaultSettings() {
+    return {
+        bytesPerLine: DEFAULT_BYTES_PER_LINE,
+        labelLength: DEFAULT_LABEL_LENGTH,
+        dotTab: 0,
+        density: "NORMAL",
+        qualityMode: "TEXT",
+        roll: undefined,
+        tapeType: undefined,
+    };
+}
@@ -1,25 +1,28 @@
 import { spawn } from "node:child_process";
+import { ConfigError, TransportError } from "./errors.js";
 
 /**
  * Execute the given command spawned as new process.
  *
  * @param {string} command Command to execute
  * @param {string[]} [commandArgs] Command arguments.
- * @param {Buffer} [buffer] Buffer to send (optional)
- * @return {Promise<string>}
+ * @param {Buffer|import("node:stream").Readable} [buffer] Buffer or stream to send to stdin (optional)
+ * @param {Object<string, string>} [env] Environment variables added to the environment of this process (optional),
+ *                                       e.g. { LC_ALL: "C" } for output that does not depend on the user's locale
+ * @return {Promise<string>} Resolves with stdout, rejects with a TransportError when the command fails
  */
-export function execute(command, commandArgs = [], buffer = undefined) {
+export function execute(command, commandArgs = [], buffer = undefined, env = undefined) {
     return new Promise((resolve, reject) => {
         if (!command) {
-            throw Error('"Command" is required');
+            throw new ConfigError('"Command" is required');
         }
         if (!Array.isArray(commandArgs)) {
-            throw Error('"CommandArgs" should be an array of strings');
+            throw new ConfigError('"CommandArgs" should be an array of strings');
         }
 
         // Node’s Child Processes
         // https://jscomplete.com/learn/node-beyond-basics/child-processes
-        const proces = spawn(command, commandArgs);
+        const proces = spawn(command, commandArgs, env ? { env: { ...process.env, ...env } } : {});
 
         const stdout = [];
         const stderr = [];
@@ -31,18 +34,33 @@ export function execute(command, commandArgs = [], buffer = undefined) {
                 resolve(stdout.join(""));
                 return;
             }
-            reject(`child process exited with code ${code}: \n${stderr.join("")}\n${stdout.join("")}`);
+            reject(
+                new TransportError(
+                    `child process exited with code ${code}: \n${stderr.join("")}\n${stdout.join("")}`,
+                    { command, exitCode: code }
+                )
+            );
         });
-        proces.on("error", function (code, signal) {
-            reject(`child process error with code ${code} and signal ${signal}`);
+        proces.on("error", function (error) {
+            reject(new TransportError(`child process error: ${error.message}`, { command, cause: error }));
         });
         proces.stdin.on("error", (error) => {
-            reject(`stdin process error: ${error}`);
+            reject(new TransportError(`stdin process error: ${error}`, { command, cause: error }));
         });
 
         proces.stdout.on("data", (data) => stdout.push(data));
         proces.stderr.on("data", (data) => stderr.push(data));
 
+        if (buffer && !Buffer.isBuffer(buffer)) {
+            // Stop the process when the stream fails, so it cannot act on incomplete input.
+            buffer.on("error", (error) => {
+                buffer.unpipe(proces.stdin);
+                proces.kill();
+                reject(error);
+            });
+            buffer.pipe(proces.stdin);
+            return;
+        }
         if (buffer) {
             // @ts-expect-error
             if (proces.stdin.setEncoding) proces.stdin.setEncoding("binary");
@@ -0,0 +1,182 @@
+import fs from "node:fs";
+import net from "node:net";
+import { PassThrough, pipeline } from "node:stream";
+import { TimeoutError, TransportError } from "./errors.js";
+
+// Transports that carry a print job to the printer. Every transport is a writable stream the job is written to, and a
+// promise that settles when the other side has accepted the job: the printer closed the connection, the file is
+// closed or the spooler took the job.
+
+// Time to wait for the connection to the printer, and for the printer to take more data or close the connection.
+const DEFAULT_CONNECT_TIMEOUT = 30000;
+const DEFAULT_IDLE_TIMEOUT = 30000;
+
+/**
+ * @typedef {Object} Transport
+ * @property {import("node:stream").Writable} stream Stream to write the job to, end it when the job is complete
+ * @property {Promise<any>} done Resolves when the job is accepted, with the job for the spoolers, rejects otherwise
+ * @property {function(Error):void} abort Stop the transport, the job is not completed
+ */
+
+/**
+ * @typedef {Object} TransportOptions
+ * @property {number} [connectTimeout] Time to wait for the connection in milliseconds (defaults to 30000)
+ * @property {number} [idleTimeout] Time the connection may be idle in milliseconds, while sending and while waiting
+ *                                  for the printer to close it (defaults to 30000)
+ */
+
+/**
+ * Create the transport to a network printer, the raw port 9100 of the LabelWriter Wireless or a print server.
+ * The job is complete when the printer closes the connection after the data is sent.
+ *
+ * @param {string} [host] Hostname or IP address (defaults to localhost)
+ * @param {number} [port] Port number (defaults to 9100)
+ * @param {TransportOptions} [options] Timeouts
+ * @return {Transport}
+ */
+export function createNetworkTransport(host = "localhost", port = 9100, options = {}) {
+    const { connectTimeout = DEFAULT_CONNECT_TIMEOUT, idleTimeout = DEFAULT_IDLE_TIMEOUT } = options;
+    const socket = net.connect({ host, port });
+    socket.setTimeout(connectTimeout);
+
+    const done = new Promise((resolve, reject) => {
+        let connected = false;
+        let sent = false;
+        socket.on("connect", () => {
+            connected = true;
+            socket.setTimeout(idleTimeout);
+        });
+        socket.on("finish", () => {
+            sent = true;
+        });
+        socket.on("timeout", () => {
+            socket.destroy();
+            if (!connected) {
+                reject(new TimeoutError("Timeout connecting to printer.", connectTimeout));
+            } else if (!sent) {
+                reject(new TimeoutError("Timeout sending data to printer.", idleTimeout));
+            } else {
+                // The data is sent, retrying could print the job twice.
+                reject(new TimeoutError("Timeout waiting for the printer to close the connection.", idleTimeout, true));
+            }
+        });
+        socket.on("error", (error) => {
+            const transportError = new TransportError(error.message, { host, cause: error });
+            // The printer may print a job it received completely, e.g. when it resets the connection afterwards.
+            transportError.jobSent = sent;
+            reject(transportError);
+        });
+        socket.on("close", (hadError) => {
+            if (!hadError && !sent) {
+                reject(new TransportError("The printer closed the connection before the job was sent.", { host }));
+                return;
+            }
+            resolve();
+        });
+        // Read and ignore what the printer sends, e.g. the status after <esc> A, so its end of the stream is seen.
+        socket.resume();
+    });
+    return { stream: socket, done, abort: () => socket.destroy() };
+}
+
+/**
+ * Create the transport to a file, or to a USB printer device like /dev/usb/lp0.
+ * The job is complete when the file is closed, an existing file is overwritten.
+ *
+ * @param {string} file File or device name
+ * @return {Transport}
+ */
+export function createFileTransport(file) {
+    const stream = fs.createWriteStream(file);
+    const done = new Promise((resolve, reject) => {
+        let written = false;
+        stream.on("finish", () => {
+            written = true;
+        });
+        stream.on("error", (error) => reject(new TransportError(error.message, { device: file, cause: error })));
+        stream.on("close", () => {
+            if (!written) {
+                const message = `Writing to "${file}" was stopped before the job was written.`;
+                reject(new TransportError(message, { device: file }));
+                return;
+            }
+            resolve();
+        });
+    });
+    return { stream, done, abort: () => stream.destroy() };
+}
+
+/**
+ * Create a transport from a function that reads the job from a stream, like a spooler command that reads its stdin.
+ * Aborting fails the stream, so the consumer stops without completing the job.
+ *
+ * @param {function(import("node:stream").Readable):Promise<any>} consume Reads the job, resolves when it is accepted
+ * @return {Transport}
+ */
+export function createStreamTransport(consume) {
+    const stream = new PassThrough();
+    // The consumer reports the failure, also when it failed before it started reading.
+    stream.on("error", () => undefined);
+    const done = Promise.resolve().then(() => consume(stream));
+    return { stream, done, abort: (error) => stream.destroy(error) };
+}
+
+/**
+ * Send the job through the transport. A stream is piped with backpressure: it is read as fast as the transport
+ * takes the data, so a large job is never in memory as a whole.
+ * When the signal aborts, the job and the transport are stopped and the promise rejects with an AbortError.
+ *
+ * @param {Buffer|import("node:stream").Readable} data Printer data buffer or stream
+ * @param {Transport} transport Transport
+ * @param {AbortSignal} [signal] Signal to abort sending
+ * @return {Promise<any>} Resolves when the transport accepted the job, rejects otherwise
+ */
+export function sendToTransport(data, transport, signal = undefined) {
+    return new Promise((resolve, reject) => {
+        const isStream = !Buffer.isBuffer(data);
+        let settled = false;
+        const onAbort = () => settle(abortError());
+        const settle = (error, result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            if (error === undefined) {
+                resolve(result);
+                return;
+            }
+            if (isStream) {
+                data.destroy();
+            }
+            transport.abort(error);
+            reject(error);
+        };
+        transport.done.then((result) => settle(undefined, result)).catch((error) => settle(error));
+        if (signal && signal.aborted) {
+            settle(abortError());
+            return;
+        }
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+        if (!isStream) {
+            transport.stream.end(data);
+            return;
+        }
+        pipeline(data, transport.stream, (error) => {
+            if (error) {
+                settle(error);
+            }
+        });
+    });
+}
+
+/**
+ * @return {Error} Error of an aborted job, like the AbortError of fetch()
+ */
+function abortError() {
+    return Object.assign(Error("The print job was aborted."), { name: "AbortError", code: "ABORT_ERR" });
+}
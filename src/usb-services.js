@@ -0,0 +1,153 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// USB printers on Linux are character devices /dev/usb/lp0, lp1, ... handled by the usblp driver.
+// The matching sysfs entry /sys/class/usbmisc/lpN/device links to the USB interface, its parent directory is the USB
+// device with the idVendor, idProduct, manufacturer, product and serial files.
+const DEV_USB_PATH = "/dev/usb";
+const SYSFS_USBMISC_PATH = "/sys/class/usbmisc";
+// USB vendor id of DYMO (Sanford).
+const DYMO_VENDOR_ID = 0x0922;
+
+/**
+ * @typedef {Object} UsbOptions
+ * @property {boolean} [all] Return all USB printers instead of only DYMO printers (defaults to false)
+ * @property {string} [devPath] Directory with the lp device nodes (defaults to /dev/usb)
+ * @property {string} [sysfsPath] Directory with the usbmisc class devices (defaults to /sys/class/usbmisc)
+ */
+
+/**
+ * @typedef {Object} UsbPrinter
+ * @property {string} deviceId Unique id, the serial number or else the device path
+ * @property {string} name Printer name, e.g. DYMO LabelWriter 450
+ * @property {string} interface Always DEVICE
+ * @property {string} device Device path, e.g. /dev/usb/lp0
+ * @property {string} [manufacturer] Manufacturer, from the IEEE 1284 device id or USB descriptor
+ * @property {string} [model] Model, from the IEEE 1284 device id or USB descriptor
+ * @property {string} [serialNumber] Serial number
+ * @property {number} [vendorId] USB vendor id
+ * @property {number} [productId] USB product id
+ */
+
+/**
+ * List the USB printers that the Linux usblp driver created a device node for.
+ * The device nodes are correlated through sysfs with the IEEE 1284 device id and the USB descriptors.
+ * The results can be passed as PrinterConfig to DymoServices: new DymoServices(printer).
+ *
+ * @param {UsbOptions} [options] Options
+ * @return {Promise<UsbPrinter[]>} Printers ordered by device node, empty when there are none (or not on Linux)
+ */
+export function listUsbPrinters(options = {}) {
+    return new Promise((resolve, reject) => {
+        const { all = false, devPath = DEV_USB_PATH, sysfsPath = SYSFS_USBMISC_PATH } = options;
+        fs.readdir(devPath, (err, entries) => {
+            if (err) {
+                // No USB printers are connected, or the usblp driver is not loaded.
+                if (err.code === "ENOENT") {
+                    resolve([]);
+                    return;
+                }
+                reject(err);
+                return;
+            }
+            const nodes = entries
+                .filter((entry) => /^lp\d+$/.test(entry))
+                .sort((a, b) => Number(a.substring(2)) - Number(b.substring(2)));
+            Promise.all(nodes.map((node) => describeDevice(node, path.join(devPath, node), sysfsPath)))
+                .then((printers) =>
+                    resolve(
+                        printers.filter(
+                            (printer) =>
+                                all ||
+                                printer.vendorId === DYMO_VENDOR_ID ||
+                                /dymo/i.test(printer.manufacturer || "")
+                        )
+                    )
+                )
+                .catch(reject);
+        });
+    });
+}
+
+/**
+ * Collect what sysfs knows about the device node. Missing sysfs files are not an error.
+ *
+ * @param {string} node Device node name, e.g. lp0
+ * @param {string} device Device path
+ * @param {string} sysfsPath Directory with the usbmisc class devices
+ * @return {Promise<UsbPrinter>}
+ */
+function describeDevice(node, device, sysfsPath) {
+    const interfacePath = path.join(sysfsPath, node, "device");
+    return Promise.all([
+        readSysfsFile(path.join(interfacePath, "ieee1284_id")),
+        // Resolve the link first, a ".." in the path would not follow it.
+        realpath(interfacePath).then((resolved) => {
+            const usbDevice = resolved ? path.dirname(resolved) : undefined;
+            const read = (name) => (usbDevice ? readSysfsFile(path.join(usbDevice, name)) : Promise.resolve(""));
+            return Promise.all(["idVendor", "idProduct", "manufacturer", "product", "serial"].map(read));
+        }),
+    ]).then(([ieee1284Id, [idVendor, idProduct, manufacturer, product, serial]]) => {
+        const fields = parseIeee1284Id(ieee1284Id);
+        const printerManufacturer = fields.MFG || fields.MANUFACTURER || manufacturer || undefined;
+        const model = fields.MDL || fields.MODEL || product || undefined;
+        const serialNumber = serial || fields.SN || fields.SERN || undefined;
+        let name = fields.DES || fields.DESCRIPTION || [printerManufacturer, model].filter((part) => !!part).join(" ");
+        if (!name) {
+            name = `USB printer ${node}`;
+        }
+        return {
+            deviceId: serialNumber || device,
+            name,
+            interface: "DEVICE",
+            device,
+            manufacturer: printerManufacturer,
+            model,
+            serialNumber,
+            vendorId: idVendor ? parseInt(idVendor, 16) : undefined,
+            productId: idProduct ? parseInt(idProduct, 16) : undefined,
+        };
+    });
+}
+
+/**
+ * Parse an IEEE 1284 device id, e.g. "MFG:DYMO;CMD: ;MDL:LabelWriter 450;CLASS:PRINTER;".
+ *
+ * @param {string} id Device id
+ * @return {Object<string, string>} Fields by upper case key
+ */
+function parseIeee1284Id(id) {
+    /** @type {Object<string, string>} */
+    const fields = {};
+    id.split(";").forEach((field) => {
+        const separator = field.indexOf(":");
+        if (separator > 0) {
+            fields[field.substring(0, separator).trim().toUpperCase()] = field.substring(separator + 1).trim();
+        }
+    });
+    return fields;
+}
+
+/**
+ * Read a sysfs attribute.
+ *
+ * @param {string} file Attribute file
+ * @return {Promise<string>} Trimmed contents, or an empty string if it cannot be read
+ */
+function readSysfsFile(file) {
+    return new Promise((resolve) => {
+        fs.readFile(file, { encoding: "utf8" }, (err, contents) => resolve(err ? "" : contents.trim()));
+    });
+}
+
+/**
+ * Resolve the symbolic links in the path.
+ *
+ * @param {string} file Path
+ * @return {Promise<string|undefined>} Resolved path, or undefined if it does not exist
+ */
+function realpath(file) {
+    return new Promise((resolve) => {
+        fs.realpath(file, (err, resolved) => resolve(err ? undefined : resolved));
+    });
+}
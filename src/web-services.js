@@ -0,0 +1,440 @@
+import Jimp from "jimp";
+import http from "node:http";
+import https from "node:https";
+import { DymoServices, LabelDocument } from "./dymo-services.js";
+import { findChildren, findText, parseXml } from "./xml-services.js";
+
+// Local HTTP(S) server with the REST endpoints of the DYMO Web Service, so web applications using the DYMO Connect
+// JavaScript framework can print through this library.
+// The framework looks for the service on https://127.0.0.1:41951 (and the next few ports).
+
+export const WEB_SERVICE_PORT = 41951;
+const WEB_SERVICE_PATH = "/DYMO/DLS/Printing/";
+// Labels may contain images, but nothing near this size.
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+const DEFAULT_PRINTER_NAME = "DYMO LabelWriter 450";
+// Host names of pages served from the local machine, they may call the service without being allowed explicitly.
+const LOCAL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * @typedef {Object} WebServiceOptions
+ * @property {import("./dymo-services.js").PrinterConfig} [printer] Printer configuration. Without an interface the
+ *           DYMO printers found by listPrinters() are offered, with an interface only the configured printer
+ * @property {string} [printerName] Name of the configured printer, defaults to the deviceId or
+ *                                  "DYMO LabelWriter 450"
+ * @property {number} [port] Port to listen on, defaults to 41951
+ * @property {string} [host] Host name or address to listen on, defaults to 127.0.0.1. Requests are only answered when
+ *                          their Host header names this host or the local machine, against DNS rebinding
+ * @property {string|Buffer} [key] TLS private key, serves HTTPS together with the certificate
+ * @property {string|Buffer} [cert] TLS certificate, serves HTTPS together with the key
+ * @property {string[]} [allowedOrigins] Origins of the web pages that may call the service, e.g.
+ *                                       "https://shop.example.com", or "*" for every page. Pages served from the
+ *                                       local machine are always allowed. Requests without an Origin header do not
+ *                                       come from web pages but from programs on the machine, they are allowed
+ */
+
+/**
+ * @typedef {Object} WebServicePrinter
+ * @property {string} name Printer name, as shown to the web application
+ * @property {import("./dymo-services.js").PrinterConfig} config Printer configuration to print with
+ */
+
+/**
+ * Error with the HTTP status code to respond with.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} statusCode HTTP status code
+     * @param {string} message Error message
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.name = "HttpError";
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Local server that implements the StatusConnected, GetPrinters, PrintLabel and RenderLabel endpoints of the
+ * DYMO Web Service.
+ */
+export class DymoWebService {
+    /**
+     * @private
+     * @type {http.Server|undefined}
+     */
+    server = undefined;
+    /**
+     * @private
+     * @type {WebServiceOptions}
+     */
+    options = {};
+
+    /**
+     * Create a new web service, call start() to start listening.
+     *
+     * @param {WebServiceOptions} [options] Web service options
+     */
+    constructor(options = {}) {
+        const { port = WEB_SERVICE_PORT, host = "127.0.0.1", printer = {} } = options;
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw Error(`DymoWebService: port should be an integer between 0 and 65535: "${port}"`);
+        }
+        if (!!options.key !== !!options.cert) {
+            throw Error("DymoWebService: HTTPS needs both the key and the certificate");
+        }
+        const { allowedOrigins = [] } = options;
+        if (!Array.isArray(allowedOrigins) || allowedOrigins.some((origin) => typeof origin !== "string")) {
+            throw Error("DymoWebService: allowedOrigins should be an array of strings");
+        }
+        // Fail early on an invalid printer configuration.
+        new DymoServices(printer);
+        this.options = { ...options, port, host, printer, allowedOrigins };
+    }
+
+    /**
+     * Start listening.
+     *
+     * @return {Promise<number>} Resolves with the port the server listens on
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            if (this.server) {
+                throw Error("DymoWebService: already started");
+            }
+            const { key, cert, port, host } = this.options;
+            const server = key
+                ? https.createServer({ key, cert }, this.handleRequest)
+                : http.createServer(this.handleRequest);
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.removeListener("error", reject);
+                this.server = server;
+                const address = server.address();
+                resolve(address && typeof address === "object" ? address.port : port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening.
+     *
+     * @return {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            const server = this.server;
+            if (!server) {
+                resolve();
+                return;
+            }
+            this.server = undefined;
+            server.close((err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    /**
+     * Handle a request.
+     * Can be used as request handler in an existing HTTP server, e.g. app.use(service.handleRequest).
+     *
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    handleRequest = (req, res) => {
+        // A page that rebinds its own host name to the local machine sends its own name as Host.
+        if (!this.isAllowedHost(req.headers.host)) {
+            DymoWebService.respond(res, 403, `Host "${req.headers.host || ""}" is not allowed`);
+            return;
+        }
+        const origin = req.headers.origin;
+        if (origin) {
+            // Browsers send simple requests without asking first, so requests of other pages are refused, not only
+            // their responses hidden.
+            if (!this.isAllowedOrigin(origin)) {
+                DymoWebService.respond(res, 403, `Origin "${origin}" is not allowed`);
+                return;
+            }
+            res.setHeader("Access-Control-Allow-Origin", origin);
+            res.setHeader("Vary", "Origin");
+            res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+            res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+            // Allow the allowed pages on the internet to call the service on the local machine.
+            res.setHeader("Access-Control-Allow-Private-Network", "true");
+        }
+        if (req.method === "OPTIONS") {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url || "/", "http://localhost");
+        const pathname = url.pathname.toLowerCase();
+        const base = WEB_SERVICE_PATH.toLowerCase();
+        const endpoint = pathname.startsWith(base) ? pathname.substring(base.length).replace(/\/$/, "") : "";
+
+        DymoWebService.readParameters(req, url)
+            .then((params) => {
+                if (endpoint === "statusconnected") {
+                    return true;
+                }
+                if (endpoint === "getprinters") {
+                    return this.getPrinters().then(DymoWebService.printersXml);
+                }
+                if (endpoint === "printlabel") {
+                    DymoWebService.requirePost(req);
+                    const { printerName, labelXml, printParamsXml, labelSetXml } = params;
+                    return this.printLabel(printerName, labelXml, printParamsXml, labelSetXml);
+                }
+                if (endpoint === "renderlabel") {
+                    DymoWebService.requirePost(req);
+                    return this.renderLabel(params.labelXml);
+                }
+                throw new HttpError(404, `Unknown endpoint "${url.pathname}"`);
+            })
+            .then((result) => DymoWebService.respond(res, 200, result))
+            .catch((e) => {
+                const message = e instanceof Error ? e.message : `${e}`;
+                DymoWebService.respond(res, e instanceof HttpError ? e.statusCode : 500, message);
+            });
+    };
+
+    /**
+     * @private
+     *
+     * Check if a page of the origin may call the service: an allowed origin or a page served from the local machine.
+     *
+     * @param {string} origin Origin header, e.g. https://shop.example.com
+     * @return {boolean}
+     */
+    isAllowedOrigin(origin) {
+        const allowedOrigins = this.options.allowedOrigins || [];
+        if (allowedOrigins.indexOf("*") !== -1 || allowedOrigins.indexOf(origin) !== -1) {
+            return true;
+        }
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (e) {
+            return false;
+        }
+        return LOCAL_HOSTNAMES.indexOf(url.hostname) !== -1;
+    }
+
+    /**
+     * @private
+     *
+     * Check if the request was sent to the service by its name: the local machine or the configured host.
+     *
+     * @param {string} [host] Host header of the request, e.g. 127.0.0.1:41951
+     * @return {boolean}
+     */
+    isAllowedHost(host) {
+        if (!host) {
+            return false;
+        }
+        let url;
+        try {
+            url = new URL(`http://${host}`);
+        } catch (e) {
+            return false;
+        }
+        return LOCAL_HOSTNAMES.indexOf(url.hostname) !== -1 || url.hostname === this.options.host;
+    }
+
+    /**
+     * Get the printers offered to the web application.
+     *
+     * @return {Promise<WebServicePrinter[]>}
+     */
+    getPrinters() {
+        const config = this.options.printer;
+        if (config.interface) {
+            const name = this.options.printerName || config.deviceId || DEFAULT_PRINTER_NAME;
+            return Promise.resolve([{ name, config }]);
+        }
+        const printerInterface = process.platform === "win32" ? "WINDOWS" : "CUPS";
+        return new DymoServices(config).listPrinters().then((printers) =>
+            printers
+                .filter((printer) => DymoServices.isDymoPrinter(printer))
+                .map((printer) => ({
+                    name: printer.name,
+                    config: { ...config, interface: printerInterface, deviceId: printer.deviceId },
+                }))
+        );
+    }
+
+    /**
+     * Print the label, once for every record in the label set.
+     *
+     * @param {string} printerName Name of the printer from GetPrinters
+     * @param {string} labelXml Label in DYMO Label v8 or DYMO Connect format
+     * @param {string} [printParamsXml] LabelWriterPrintParams, only Copies and PrintQuality are used
+     * @param {string} [labelSetXml] LabelSet with the object texts of every label
+     * @return {Promise<boolean>} Resolves with true after printing
+     */
+    printLabel(printerName, labelXml, printParamsXml, labelSetXml) {
+        return new Promise((resolve, reject) => {
+            if (!labelXml) {
+                throw new HttpError(400, "PrintLabel: labelXml is required");
+            }
+            const params = printParamsXml ? parseXml(printParamsXml) : undefined;
+            const copies = Number(findText(params, "Copies") || 1);
+            if (!Number.isInteger(copies) || copies < 1) {
+                throw new HttpError(400, `PrintLabel: Copies should be a positive integer: "${copies}"`);
+            }
+            const qualityMode = findText(params, "PrintQuality") === "BarcodeAndGraphics" ? "GRAPHICS" : "TEXT";
+            // Every record holds the object texts of one label, without records the label is printed as is.
+            const records = labelSetXml ? findChildren(parseXml(labelSetXml), "LabelRecord") : [undefined];
+
+            this.getPrinters()
+                .then((printers) => {
+                    const printer = printers.find((candidate) => candidate.name === printerName);
+                    if (!printer) {
+                        throw new HttpError(400, `PrintLabel: unknown printer "${printerName}"`);
+                    }
+                    const dymoServices = new DymoServices(printer.config);
+                    /**
+                     * Render and print the label with the object texts of the record.
+                     *
+                     * @param {import("./xml-services.js").XmlNode|undefined} record LabelRecord
+                     * @return {Promise<void>}
+                     */
+                    const printRecord = (record) => {
+                        const document = new LabelDocument(labelXml);
+                        findChildren(record, "ObjectData").forEach((data) =>
+                            document.setObjectText(data.attributes.Name, data.text)
+                        );
+                        return document
+                            .render()
+                            .then((image) =>
+                                dymoServices.print(image, copies, { dithering: "THRESHOLD", qualityMode })
+                            );
+                    };
+                    return records.reduce(
+                        (previous, record) => previous.then(() => printRecord(record)),
+                        Promise.resolve()
+                    );
+                })
+                .then(() => resolve(true))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Render a preview of the label.
+     *
+     * @param {string} labelXml Label in DYMO Label v8 or DYMO Connect format
+     * @return {Promise<string>} Resolves with the base64 encoded PNG image
+     */
+    renderLabel(labelXml) {
+        return new Promise((resolve, reject) => {
+            if (!labelXml) {
+                throw new HttpError(400, "RenderLabel: labelXml is required");
+            }
+            new LabelDocument(labelXml)
+                .render()
+                .then((image) => image.getBufferAsync(Jimp.MIME_PNG))
+                .then((png) => resolve(png.toString("base64")))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Read the query string and the form or JSON encoded body.
+     *
+     * @param {http.IncomingMessage} req Request
+     * @param {URL} url Request URL
+     * @return {Promise<Object<string, string>>} Parameters
+     */
+    static readParameters(req, url) {
+        return new Promise((resolve, reject) => {
+            /** @type {Object<string, string>} */
+            const params = {};
+            url.searchParams.forEach((value, key) => (params[key] = value));
+            const chunks = [];
+            let size = 0;
+            req.on("data", (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    reject(new HttpError(413, "Request body too large"));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("error", reject);
+            req.on("end", () => {
+                const body = Buffer.concat(chunks).toString("utf8");
+                if (!body) {
+                    resolve(params);
+                    return;
+                }
+                if ((req.headers["content-type"] || "").indexOf("application/json") !== -1) {
+                    try {
+                        Object.assign(params, JSON.parse(body));
+                    } catch (e) {
+                        reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+                        return;
+                    }
+                } else {
+                    new URLSearchParams(body).forEach((value, key) => (params[key] = value));
+                }
+                resolve(params);
+            });
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Only allow POST requests.
+     *
+     * @param {http.IncomingMessage} req Request
+     */
+    static requirePost(req) {
+        if (req.method !== "POST") {
+            throw new HttpError(405, `Method ${req.method} not allowed, use POST`);
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Send the JSON encoded result, like the DYMO Web Service does.
+     *
+     * @param {http.ServerResponse} res Response
+     * @param {number} statusCode HTTP status code
+     * @param {any} result Result, or error message
+     */
+    static respond(res, statusCode, result) {
+        res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+        res.end(JSON.stringify(result));
+    }
+
+    /**
+     * @private
+     *
+     * Describe the printers in the XML format of GetPrinters.
+     *
+     * @param {WebServicePrinter[]} printers Printers
+     * @return {string} XML
+     */
+    static printersXml(printers) {
+        const escape = (text) =>
+            text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        const entries = printers.map(
+            (printer) =>
+                "<LabelWriterPrinter>" +
+                `<Name>${escape(printer.name)}</Name>` +
+                `<ModelName>${escape(printer.name)}</ModelName>` +
+                "<IsConnected>True</IsConnected>" +
+                "<IsLocal>True</IsLocal>" +
+                "<IsTwinTurbo>False</IsTwinTurbo>" +
+                "<IsAutoCutSupported>False</IsAutoCutSupported>" +
+                "</LabelWriterPrinter>"
+        );
+        return `<Printers>${entries.join("")}</Printers>`;
+    }
+}
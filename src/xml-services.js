@@ -0,0 +1,208 @@
+// Minimal XML parser, enough to read DYMO label files.
+// It supports elements, attributes, text, CDATA sections and character references; the XML declaration, comments,
+// processing instructions and the document type are skipped. Namespaces are kept as part of the name.
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * @typedef {Object} XmlNode
+ * @property {string} name Element name
+ * @property {Object<string, string>} attributes Attributes
+ * @property {XmlNode[]} children Child elements
+ * @property {string} text Text content of the element itself, excluding child elements
+ */
+
+/**
+ * Decode the entities and character references in text.
+ *
+ * @param {string} text Encoded text
+ * @return {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const hex = entity[1].toLowerCase() === "x";
+            return String.fromCodePoint(parseInt(entity.substring(hex ? 2 : 1), hex ? 16 : 10));
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Parse an XML document.
+ *
+ * @param {string} xml XML document
+ * @return {XmlNode} Root element
+ */
+export function parseXml(xml) {
+    if (typeof xml !== "string") {
+        throw Error("parseXml(): xml should be of type string");
+    }
+    // Strip the byte order mark.
+    const source = xml.replace(/^\uFEFF/, "");
+    /** @type {XmlNode[]} */
+    const stack = [];
+    /** @type {XmlNode|undefined} */
+    let root;
+    let position = 0;
+
+    while (position < source.length) {
+        const start = source.indexOf("<", position);
+        const text = source.substring(position, start === -1 ? source.length : start);
+        if (stack.length > 0 && text) {
+            stack[stack.length - 1].text += decodeEntities(text);
+        }
+        if (start === -1) {
+            break;
+        }
+
+        if (source.startsWith("<!--", start)) {
+            position = indexAfter(source, "-->", start);
+            continue;
+        }
+        if (source.startsWith("<![CDATA[", start)) {
+            const end = indexAfter(source, "]]>", start);
+            if (stack.length > 0) {
+                stack[stack.length - 1].text += source.substring(start + 9, end - 3);
+            }
+            position = end;
+            continue;
+        }
+        if (source.startsWith("<?", start)) {
+            position = indexAfter(source, "?>", start);
+            continue;
+        }
+        if (source.startsWith("<!", start)) {
+            position = indexAfter(source, ">", start);
+            continue;
+        }
+
+        const end = tagEnd(source, start);
+        const tag = source.substring(start + 1, end - 1);
+        position = end;
+
+        if (tag[0] === "/") {
+            const name = tag.substring(1).trim();
+            const node = stack.pop();
+            if (!node || node.name !== name) {
+                throw Error(`parseXml(): unexpected closing tag "</${name}>" at position ${start}`);
+            }
+            continue;
+        }
+
+        const selfClosing = tag.endsWith("/");
+        const match = /^([^\s/>]+)([\s\S]*?)\/?$/.exec(tag);
+        if (!match) {
+            throw Error(`parseXml(): invalid tag "<${tag}>" at position ${start}`);
+        }
+        /** @type {XmlNode} */
+        const node = { name: match[1], attributes: {}, children: [], text: "" };
+        const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attribute;
+        while ((attribute = attributePattern.exec(match[2])) !== null) {
+            node.attributes[attribute[1]] = decodeEntities(attribute[3] !== undefined ? attribute[3] : attribute[4]);
+        }
+
+        if (stack.length > 0) {
+            stack[stack.length - 1].children.push(node);
+        } else if (root) {
+            throw Error(`parseXml(): more than one root element, found "<${node.name}>" at position ${start}`);
+        } else {
+            root = node;
+        }
+        if (!selfClosing) {
+            stack.push(node);
+        }
+    }
+
+    if (stack.length > 0) {
+        throw Error(`parseXml(): missing closing tag for "<${stack[stack.length - 1].name}>"`);
+    }
+    if (!root) {
+        throw Error("parseXml(): no root element found");
+    }
+    return root;
+}
+
+/**
+ * Position right after the first occurrence of the search string.
+ *
+ * @param {string} source Source text
+ * @param {string} search Search string
+ * @param {number} from Start position
+ * @return {number} Position after the search string
+ */
+function indexAfter(source, search, from) {
+    const index = source.indexOf(search, from);
+    if (index === -1) {
+        throw Error(`parseXml(): missing "${search}" after position ${from}`);
+    }
+    return index + search.length;
+}
+
+/**
+ * Position right after the ">" that ends the tag, a ">" in a quoted attribute value does not end it.
+ *
+ * @param {string} source Source text
+ * @param {number} from Position of the "<" of the tag
+ * @return {number} Position after the tag
+ */
+function tagEnd(source, from) {
+    let quote = "";
+    for (let i = from + 1; i < source.length; i++) {
+        const character = source[i];
+        if (quote) {
+            quote = character === quote ? "" : quote;
+        } else if (character === '"' || character === "'") {
+            quote = character;
+        } else if (character === ">") {
+            return i + 1;
+        }
+    }
+    throw Error(`parseXml(): missing ">" after position ${from}`);
+}
+
+/**
+ * Find the first child element with the given name.
+ *
+ * @param {XmlNode|undefined} node Parent element
+ * @param {string} name Child element name
+ * @return {XmlNode|undefined} Child element
+ */
+export function findChild(node, name) {
+    return node ? node.children.find((child) => child.name === name) : undefined;
+}
+
+/**
+ * Find all child elements with the given name.
+ *
+ * @param {XmlNode|undefined} node Parent element
+ * @param {string} name Child element name
+ * @return {XmlNode[]} Child elements
+ */
+export function findChildren(node, name) {
+    return node ? node.children.filter((child) => child.name === name) : [];
+}
+
+/**
+ * Follow the path of child element names.
+ *
+ * @param {XmlNode|undefined} node Start element
+ * @param {...string} names Child element names
+ * @return {XmlNode|undefined} Element at the end of the path
+ */
+export function findPath(node, ...names) {
+    return names.reduce((current, name) => findChild(current, name), node);
+}
+
+/**
+ * Get the trimmed text of the child element at the end of the path.
+ *
+ * @param {XmlNode|undefined} node Start element
+ * @param {...string} names Child element names
+ * @return {string|undefined} Text, or undefined if the element does not exist
+ */
+export function findText(node, ...names) {
+    const found = findPath(node, ...names);
+    return found ? found.text.trim() : undefined;
+}